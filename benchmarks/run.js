@@ -0,0 +1,207 @@
+/* eslint-env node */
+/* eslint-disable no-console */
+
+// Measures how fast sentinels can be read, for the current build in dist/ and,
+// with `--compare <git ref>`, for the build of another commit:
+//
+//   yarn run benchmark --compare master
+//
+// Every case is run on plain objects too, as a reference for the overhead.
+
+const childProcess = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const rimraf = require("rimraf");
+
+const rootDir = path.join(__dirname, "..");
+
+// Each case returns a function that runs one iteration on the given value,
+// along with the value to run it on.
+const cases = {
+  "deep reads": () => {
+    const store = {a: {b: {c: {d: {e: {value: 1}}}}}};
+    return {
+      value: store,
+      run: store => {
+        let sum = 0;
+        for (let i = 0; i < 1000; i++) {
+          sum += store.a.b.c.d.e.value;
+        }
+        return sum;
+      },
+    };
+  },
+  "wide arrays": () => {
+    const records = [];
+    for (let i = 0; i < 10000; i++) {
+      records.push({id: i, address: {city: "Oakland"}});
+    }
+    return {
+      value: {records},
+      run: store => {
+        const records = store.records;
+        let sum = 0;
+        for (let i = 0; i < records.length; i++) {
+          sum += records[i].address.city.length;
+        }
+        return sum;
+      },
+    };
+  },
+  iteration: () => {
+    const byId = new Map();
+    const records = [];
+    for (let i = 0; i < 1000; i++) {
+      const record = {id: i, tags: ["a", "b"]};
+      records.push(record);
+      byId.set(i, record);
+    }
+    return {
+      value: {records, byId},
+      run: store => {
+        let sum = 0;
+        store.records.forEach(record => {
+          sum += record.tags.length;
+        });
+        for (const record of store.records) {
+          sum += record.id;
+        }
+        for (const [id, record] of store.byId) {
+          sum += id + record.tags.length;
+        }
+        sum += store.records.map(record => record.id).length;
+        return sum;
+      },
+    };
+  },
+};
+
+// Runs `fn` for about `durationMs`, and returns the number of calls per second.
+function measure(fn, durationMs) {
+  // Warm up, so that the functions are optimized before they are measured.
+  const warmupEnd = Date.now() + durationMs / 4;
+  while (Date.now() < warmupEnd) {
+    fn();
+  }
+  let calls = 0;
+  const start = process.hrtime();
+  let elapsedMs = 0;
+  while (elapsedMs < durationMs) {
+    fn();
+    calls++;
+    const [seconds, nanoseconds] = process.hrtime(start);
+    elapsedMs = seconds * 1000 + nanoseconds / 1e6;
+  }
+  return calls / (elapsedMs / 1000);
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Returns the median number of calls per second, or the error thrown by the
+// case, since older builds don't support everything the cases do, like
+// iterating over a Map through a sentinel.
+function runCase(name, makeSentinel, opts) {
+  const samples = [];
+  for (let i = 0; i < opts.samples; i++) {
+    // A new value for every sample, so that the sentinels are created again.
+    const {value, run} = cases[name]();
+    const wrapped = makeSentinel != null ? makeSentinel(value) : value;
+    try {
+      run(wrapped);
+    } catch (error) {
+      return error;
+    }
+    samples.push(measure(() => run(wrapped), opts.durationMs));
+  }
+  return median(samples);
+}
+
+// Builds the sources of `ref` in benchmarks/.builds, where the .babelrc of
+// this checkout applies, and returns the directory of the build.
+function buildRef(ref) {
+  const buildsDir = path.join(__dirname, ".builds");
+  if (!fs.existsSync(buildsDir)) {
+    fs.mkdirSync(buildsDir);
+  }
+  const dir = fs.mkdtempSync(path.join(buildsDir, "build-"));
+  process.on("exit", () => rimraf.sync(dir));
+  childProcess.execSync(
+    `git archive ${ref} src | tar -x -C ${JSON.stringify(dir)}`,
+    {cwd: rootDir, stdio: "inherit"}
+  );
+  childProcess.execSync(
+    [
+      path.join("node_modules", ".bin", "babel"),
+      JSON.stringify(path.join(dir, "src")),
+      `-d ${JSON.stringify(path.join(dir, "dist"))}`,
+      "--quiet",
+    ].join(" "),
+    {cwd: rootDir, stdio: "inherit"}
+  );
+  return path.join(dir, "dist");
+}
+
+function loadMakeSentinel(distDir) {
+  const lib = require(distDir);
+  lib.configureSentinels({mutationHandler: () => {}});
+  return lib.default;
+}
+
+function parseArgs(argv) {
+  const opts = {compare: null, durationMs: 500, samples: 5};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--compare") {
+      opts.compare = argv[++i];
+    } else if (argv[i] === "--duration") {
+      opts.durationMs = Number(argv[++i]);
+    } else if (argv[i] === "--samples") {
+      opts.samples = Number(argv[++i]);
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return opts;
+}
+
+function format(opsPerSecond) {
+  return `${Math.round(opsPerSecond).toLocaleString("en-US")} ops/s`;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const implementations = [["plain objects", null]];
+  implementations.push(["dist", loadMakeSentinel(path.join(rootDir, "dist"))]);
+  if (opts.compare != null) {
+    implementations.push([
+      opts.compare,
+      loadMakeSentinel(buildRef(opts.compare)),
+    ]);
+  }
+
+  console.log(`node ${process.version}, ${opts.samples} samples per case\n`);
+  Object.keys(cases).forEach(name => {
+    console.log(name);
+    const results = implementations.map(([label, makeSentinel]) => [
+      label,
+      runCase(name, makeSentinel, opts),
+    ]);
+    const reference = results[0][1];
+    results.forEach(([label, result], i) => {
+      if (result instanceof Error) {
+        console.log(`  ${label.padEnd(16)} failed: ${result.message}`);
+        return;
+      }
+      const slowdown =
+        i > 0 ? `  ${(reference / result).toFixed(1)}x slower` : "";
+      console.log(
+        `  ${label.padEnd(16)} ${format(result).padStart(18)}${slowdown}`
+      );
+    });
+    console.log();
+  });
+}
+
+main();
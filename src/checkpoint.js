@@ -0,0 +1,242 @@
+// @flow
+
+import {hasInternalSlots} from "./hostObjects";
+import keySegment from "./keySegment";
+import {getOriginal, getSentinelConfig} from "./makeSentinel";
+import type {ShouldIgnore} from "./makeSentinel";
+
+// A snapshot of an object graph, taken by `checkpoint`
+export type Checkpoint = {|
+  nodes: Map<Node, NodeSnapshot>,
+|};
+
+export type CheckpointOpts = {|
+  shouldIgnore?: ShouldIgnore | void,
+|};
+
+// A change found by `verifyCheckpoint`. `path` leads from the object passed to
+// `checkpoint` to the property or Map entry that changed, or to the Set that a
+// value was added to or removed from, like the path of a Mutation. Objects in
+// Map keys and Set values are reached through a "[key]" segment, and a changed
+// prototype or Date uses "[[Prototype]]" or "[[DateValue]]". Accessor
+// properties are compared by their getter and setter, which are reported as
+// `{get, set}` objects.
+export type CheckpointChange = {|
+  type: "added" | "removed" | "changed",
+  path: Array<string>,
+  before: mixed,
+  after: mixed,
+|};
+
+type Node = {} | (() => mixed);
+
+// The state of a single object. Objects in it are compared by identity, since
+// the objects they refer to have snapshots of their own.
+type NodeSnapshot = {|
+  path: Array<string>,
+  prototype: mixed,
+  properties: Map<string, mixed>,
+  entries: Map<mixed, mixed> | null,
+  values: Set<mixed> | null,
+  time: number | null,
+|};
+
+// Stands for an accessor property in `properties`
+class Accessor {
+  get: mixed;
+  set: mixed;
+
+  constructor(get: mixed, set: mixed) {
+    this.get = get;
+    this.set = set;
+  }
+}
+
+/**
+ * Takes a snapshot of the value and of everything reachable from it, which
+ * `verifyCheckpoint` can later compare with the objects. Unlike sentinels, it
+ * catches changes made through any reference to the objects, and it works
+ * without Proxy.
+ *
+ * Sentinels are replaced by the objects they wrap. Objects for which
+ * `shouldIgnore` returns true, objects with internal slots and WeakMap and
+ * WeakSet contents are only compared by identity.
+ */
+export function checkpoint(value: mixed, opts?: CheckpointOpts): Checkpoint {
+  const shouldIgnore =
+    opts != null && typeof opts.shouldIgnore === "function"
+      ? opts.shouldIgnore
+      : getSentinelConfig().shouldIgnore;
+  const nodes: Map<Node, NodeSnapshot> = new Map();
+  const queue: Array<[mixed, Array<string>]> = [[value, []]];
+  for (let i = 0; i < queue.length; i++) {
+    const [child, path] = queue[i];
+    const node = getOriginal(child);
+    if (
+      node == null ||
+      (typeof node !== "object" && typeof node !== "function") ||
+      nodes.has(node) ||
+      shouldIgnore(node) ||
+      hasInternalSlots(node)
+    ) {
+      continue;
+    }
+    const snapshot = _takeSnapshot(node, path);
+    nodes.set(node, snapshot);
+    snapshot.properties.forEach((value, key) => {
+      queue.push([value, path.concat(key)]);
+    });
+    if (snapshot.entries != null) {
+      snapshot.entries.forEach((value, key) => {
+        queue.push([key, path.concat("[key]")]);
+        queue.push([value, path.concat(keySegment(key))]);
+      });
+    }
+    if (snapshot.values != null) {
+      snapshot.values.forEach(value => {
+        queue.push([value, path.concat("[key]")]);
+      });
+    }
+  }
+  return {nodes};
+}
+
+/**
+ * Returns the changes made to the objects in the checkpoint since it was
+ * taken. Objects that were added since then are reported as a whole, and are
+ * not looked into.
+ */
+export function verifyCheckpoint(cp: Checkpoint): Array<CheckpointChange> {
+  const changes = [];
+  cp.nodes.forEach((before, node) => {
+    const after = _takeSnapshot(node, before.path);
+    const path = before.path;
+    if (!_same(before.prototype, after.prototype)) {
+      changes.push({
+        type: "changed",
+        path: path.concat("[[Prototype]]"),
+        before: before.prototype,
+        after: after.prototype,
+      });
+    }
+    _diffMaps(before.properties, after.properties, key => path.concat(key))
+      .concat(
+        before.entries != null && after.entries != null
+          ? _diffMaps(before.entries, after.entries, key =>
+              path.concat(keySegment(key))
+            )
+          : []
+      )
+      .forEach(change => changes.push(change));
+    const beforeValues = before.values;
+    const afterValues = after.values;
+    if (beforeValues != null && afterValues != null) {
+      beforeValues.forEach(value => {
+        if (!afterValues.has(value)) {
+          changes.push({
+            type: "removed",
+            path: path.slice(),
+            before: value,
+            after: undefined,
+          });
+        }
+      });
+      afterValues.forEach(value => {
+        if (!beforeValues.has(value)) {
+          changes.push({
+            type: "added",
+            path: path.slice(),
+            before: undefined,
+            after: value,
+          });
+        }
+      });
+    }
+    if (!_same(before.time, after.time)) {
+      changes.push({
+        type: "changed",
+        path: path.concat("[[DateValue]]"),
+        before: before.time,
+        after: after.time,
+      });
+    }
+  });
+  return changes;
+}
+
+function _takeSnapshot(node: any, path: Array<string>): NodeSnapshot {
+  const properties = new Map();
+  Object.getOwnPropertyNames(node).forEach(key => {
+    const descriptor = Object.getOwnPropertyDescriptor(node, key);
+    if ("value" in descriptor) {
+      properties.set(key, getOriginal(descriptor.value));
+    } else {
+      properties.set(key, new Accessor(descriptor.get, descriptor.set));
+    }
+  });
+  let entries = null;
+  let values = null;
+  if (node instanceof Map) {
+    entries = new Map();
+    node.forEach((value, key) => {
+      (entries: any).set(getOriginal(key), getOriginal(value));
+    });
+  } else if (node instanceof Set) {
+    values = new Set();
+    node.forEach(value => (values: any).add(getOriginal(value)));
+  }
+  return {
+    path,
+    prototype: Object.getPrototypeOf(node),
+    properties,
+    entries,
+    values,
+    time: node instanceof Date ? node.getTime() : null,
+  };
+}
+
+function _diffMaps(
+  before: Map<any, mixed>,
+  after: Map<any, mixed>,
+  getPath: (key: any) => Array<string>
+): Array<CheckpointChange> {
+  const changes = [];
+  before.forEach((value, key) => {
+    if (!after.has(key)) {
+      changes.push({
+        type: "removed",
+        path: getPath(key),
+        before: value,
+        after: undefined,
+      });
+    } else if (!_same(value, after.get(key))) {
+      changes.push({
+        type: "changed",
+        path: getPath(key),
+        before: value,
+        after: after.get(key),
+      });
+    }
+  });
+  after.forEach((value, key) => {
+    if (!before.has(key)) {
+      changes.push({
+        type: "added",
+        path: getPath(key),
+        before: undefined,
+        after: value,
+      });
+    }
+  });
+  return changes;
+}
+
+// Like ===, but NaN is the same as NaN, and accessors are compared by their
+// getter and setter
+function _same(a: mixed, b: mixed): boolean {
+  if (a instanceof Accessor && b instanceof Accessor) {
+    return a.get === b.get && a.set === b.set;
+  }
+  // eslint-disable-next-line no-self-compare
+  return a === b || (a !== a && b !== b);
+}
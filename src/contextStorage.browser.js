@@ -0,0 +1,25 @@
+// @flow
+
+// Keeps a value for the duration of a call, like AsyncLocalStorage. This is
+// the version for browsers, which only keeps the value until the call returns:
+// it is lost in callbacks and after awaits.
+export type ContextStorage<T> = {
+  getStore(): T | void,
+  run<R>(store: T, fn: () => R): R,
+};
+
+export default function createContextStorage<T>(): ContextStorage<T> {
+  let current: T | void = undefined;
+  return {
+    getStore: () => current,
+    run: <R>(store: T, fn: () => R): R => {
+      const prev = current;
+      current = store;
+      try {
+        return fn();
+      } finally {
+        current = prev;
+      }
+    },
+  };
+}
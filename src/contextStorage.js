@@ -0,0 +1,23 @@
+// @flow
+/* eslint-env node */
+
+import createSyncContextStorage from "./contextStorage.browser";
+import type {ContextStorage} from "./contextStorage.browser";
+
+// Bundlers use contextStorage.browser.js instead of this module, as set in the
+// "browser" field of package.json, so that they don't try to bundle
+// async_hooks.
+export default function createContextStorage<T>(): ContextStorage<T> {
+  let asyncHooks = null;
+  try {
+    // $FlowFixMe: async_hooks is missing from the flow lib of this version
+    asyncHooks = require("async_hooks");
+  } catch (e) {
+    // Not Node.js
+  }
+  // AsyncLocalStorage keeps the value in callbacks and after awaits. It was
+  // added in Node.js 12.17.
+  return asyncHooks != null && asyncHooks.AsyncLocalStorage != null
+    ? new asyncHooks.AsyncLocalStorage()
+    : createSyncContextStorage();
+}
@@ -0,0 +1,123 @@
+// @flow
+
+import type {Mutation} from "./makeSentinel";
+
+// A mutation handler that collects the mutations it is called with, so that
+// they can be exported as a report instead of being logged one by one.
+export type MutationRecorder = {
+  (mutation: Mutation): void,
+  // Returns the report of the mutations recorded so far
+  getReport(): MutationReport,
+  // Same as getReport, so that the recorder can be passed to JSON.stringify
+  toJSON(): MutationReport,
+  // Forgets the mutations recorded so far
+  clear(): void,
+};
+
+export type MutationReport = {|
+  mutations: Array<MutationReportEntry>,
+|};
+
+// The mutations with the same type, label, path and call site. Times are ISO
+// 8601 strings.
+export type MutationReportEntry = {|
+  type: string,
+  label: string | null,
+  path: Array<string>,
+  callSite: string | null,
+  count: number,
+  firstSeen: string,
+  lastSeen: string,
+|};
+
+type Group = {
+  type: string,
+  label: string | null,
+  path: Array<string>,
+  callSite: string | null,
+  count: number,
+  firstSeen: number,
+  lastSeen: number,
+};
+
+/**
+ * Returns a mutation handler that groups the mutations it is called with by
+ * type, label, path and call site, and counts them. Only those properties are
+ * kept, so the recorder does not hold on to the mutated objects.
+ *
+ * The entries of the report are sorted, and their properties are always in
+ * the same order, so that the JSON of reports can be diffed. Symbols in paths
+ * are converted to strings, like `Symbol(cache)`.
+ */
+export default function createMutationRecorder(): MutationRecorder {
+  let groups: {[key: string]: Group} = Object.create(null);
+
+  const recorder: any = (mutation: Mutation) => {
+    const now = Date.now();
+    const label = mutation.label != null ? mutation.label : null;
+    const callSite = mutation.callSite != null ? mutation.callSite : null;
+    const path = mutation.path.map(segment => String(segment));
+    const key = JSON.stringify([mutation.type, label, path, callSite]);
+    const group = groups[key];
+    if (group == null) {
+      groups[key] = {
+        type: mutation.type,
+        label,
+        path,
+        callSite,
+        count: mutation.occurrences,
+        firstSeen: now,
+        lastSeen: now,
+      };
+    } else {
+      group.count += mutation.occurrences;
+      group.lastSeen = now;
+    }
+  };
+
+  recorder.getReport = (): MutationReport => {
+    const mutations = Object.keys(groups)
+      .map(key => groups[key])
+      .sort(_compareGroups)
+      .map(group => {
+        return {
+          type: group.type,
+          label: group.label,
+          path: group.path.slice(),
+          callSite: group.callSite,
+          count: group.count,
+          firstSeen: new Date(group.firstSeen).toISOString(),
+          lastSeen: new Date(group.lastSeen).toISOString(),
+        };
+      });
+    return {mutations};
+  };
+  recorder.toJSON = recorder.getReport;
+
+  recorder.clear = () => {
+    groups = Object.create(null);
+  };
+
+  return recorder;
+}
+
+// Sorts by path, then type, label and call site, with null labels and call
+// sites first.
+function _compareGroups(a: Group, b: Group): number {
+  return (
+    _compare(a.path.join("."), b.path.join(".")) ||
+    _compare(a.type, b.type) ||
+    _compare(a.label, b.label) ||
+    _compare(a.callSite, b.callSite)
+  );
+}
+
+function _compare(a: string | null, b: string | null): number {
+  if (a === b) {
+    return 0;
+  }
+  if (a == null || b == null) {
+    return a == null ? -1 : 1;
+  }
+  return a < b ? -1 : 1;
+}
@@ -0,0 +1,111 @@
+// @flow
+
+import {getOriginal, isSentinel} from "./makeSentinel";
+
+// The objects in the graph can be of any type.
+/* eslint-disable flowtype/no-weak-types */
+
+/**
+ * Returns the value with every sentinel in it replaced by the object it wraps,
+ * so that it can be passed to code that must not see sentinels.
+ *
+ * Sentinels can end up inside plain objects and arrays, for example when a
+ * sentinel is copied with `{...sentinel}`. Since the original objects must not
+ * be mutated, plain objects and arrays that contain sentinels, directly or
+ * deeper down, are copied with the sentinels replaced. Everything else is
+ * returned as it is, so the result shares as much as possible with the
+ * original object graph, and cycles are preserved.
+ *
+ * Other objects, like class instances and Maps, are unwrapped but not looked
+ * into, since they can't be copied safely.
+ */
+export default function deepUnwrap<T>(value: T): T {
+  return _deepUnwrapSome(value, () => true);
+}
+
+/**
+ * Like `deepUnwrap`, but only replaces the sentinels for which `shouldUnwrap`
+ * returns true. Used by `guardPure`.
+ */
+export function _deepUnwrapSome<T>(
+  value: T,
+  shouldUnwrap: (sentinel: mixed) => boolean
+): T {
+  const unwrap = (child: any) =>
+    isSentinel(child) && shouldUnwrap(child) ? getOriginal(child) : child;
+  // Sentinels that are kept are not looked into either, since whatever is
+  // reached through them is wrapped too.
+  const root: any = unwrap(value);
+  if (!_isPlain(root) || isSentinel(root)) {
+    return root;
+  }
+
+  // Find the plain objects and arrays reachable from the root, and the ones
+  // that refer to a sentinel directly.
+  const parents: Map<Object, Array<Object>> = new Map([[root, []]]);
+  const needsCopy: Set<Object> = new Set();
+  const queue: Array<Object> = [root];
+  for (let i = 0; i < queue.length; i++) {
+    const node = queue[i];
+    Object.keys(node).forEach(key => {
+      const child = node[key];
+      const rawChild = unwrap(child);
+      if (rawChild !== child) {
+        needsCopy.add(node);
+      }
+      if (!_isPlain(rawChild) || isSentinel(rawChild)) {
+        return;
+      }
+      const childParents = parents.get(rawChild);
+      if (childParents == null) {
+        parents.set(rawChild, [node]);
+        queue.push(rawChild);
+      } else {
+        childParents.push(node);
+      }
+    });
+  }
+  if (needsCopy.size === 0) {
+    return root;
+  }
+
+  // Objects that refer to an object that is copied must be copied too.
+  const toVisit = Array.from(needsCopy);
+  for (let i = 0; i < toVisit.length; i++) {
+    (parents.get(toVisit[i]) || []).forEach(parent => {
+      if (!needsCopy.has(parent)) {
+        needsCopy.add(parent);
+        toVisit.push(parent);
+      }
+    });
+  }
+
+  // Create the copies before filling them in, so that cycles point to them.
+  const copies: Map<Object, any> = new Map();
+  needsCopy.forEach(node => {
+    copies.set(
+      node,
+      Array.isArray(node) ? [] : Object.create(Object.getPrototypeOf(node))
+    );
+  });
+  copies.forEach((copy, node) => {
+    Object.keys(node).forEach(key => {
+      const rawChild = unwrap(node[key]);
+      const childCopy = _isPlain(rawChild) ? copies.get(rawChild) : undefined;
+      copy[key] = childCopy != null ? childCopy : rawChild;
+    });
+  });
+  return (copies.get(root): any);
+}
+/* eslint-enable flowtype/no-weak-types */
+
+function _isPlain(value: mixed): boolean {
+  if (value == null || typeof value !== "object") {
+    return false;
+  }
+  if (Array.isArray(value)) {
+    return true;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
@@ -0,0 +1,41 @@
+// @flow
+
+import {_deepUnwrapSome} from "./deepUnwrap";
+import {_runGuarded} from "./makeSentinel";
+
+/**
+ * Returns a function that calls `fn` with each of its arguments wrapped by a
+ * sentinel, so that the mutations `fn` makes to them are reported, with the
+ * name of `fn` and the index of the argument as their `guard`:
+ *
+ *   const selectTotals = guardPure(function selectTotals(state, props) {...});
+ *
+ * Functions are objects too, so the guarded function is a Proxy of `fn` with
+ * an `apply` trap, and keeps its name, length and properties.
+ *
+ * Sentinels for arguments that the caller passed unwrapped are replaced in the
+ * return value, copying plain objects and arrays like `deepUnwrap`, so they
+ * don't leak back to the caller. Arguments that are already sentinels keep
+ * their root and options, and the sentinels reached through them are
+ * returned as they are.
+ *
+ * Only the return value is unwrapped: arguments that `fn` stores elsewhere,
+ * like in a closure or a cache, stay sentinels, since those assignments can't
+ * be intercepted.
+ */
+export default function guardPure<F: (...args: Array<any>) => mixed>(fn: F): F {
+  if (typeof Proxy === "undefined") {
+    return fn;
+  }
+  const name = fn.name || "anonymous";
+  return new Proxy(fn, {
+    apply(target, thisArg, args) {
+      const {result, isFromUnwrappedArgument} = _runGuarded(
+        name,
+        args,
+        sentinelArgs => Reflect.apply(target, thisArg, sentinelArgs)
+      );
+      return _deepUnwrapSome(result, isFromUnwrappedArgument);
+    },
+  });
+}
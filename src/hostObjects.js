@@ -0,0 +1,91 @@
+// @flow
+/* eslint-env browser */
+
+// Objects that keep their data in internal slots instead of properties can't
+// be used through a Proxy: their methods check that `this` is the object
+// itself, and throw for the sentinel. Map, Set, WeakMap, WeakSet and Date
+// sentinels work around this, but the others are never wrapped.
+//
+// They are recognized by their Object.prototype.toString tag, which also works
+// for objects from other realms, like iframes.
+const _internalSlotTags: {[tag: string]: true} = {
+  "[object ArrayBuffer]": true,
+  "[object AsyncGenerator]": true,
+  "[object FinalizationRegistry]": true,
+  "[object Generator]": true,
+  "[object Promise]": true,
+  "[object RegExp]": true,
+  "[object SharedArrayBuffer]": true,
+  "[object WeakRef]": true,
+};
+
+/**
+ * Returns true for objects with internal slots that a sentinel can't handle.
+ * This includes typed arrays, DataViews and Node.js Buffers.
+ */
+export function hasInternalSlots(value: mixed): boolean {
+  if (value == null || typeof value !== "object") {
+    return false;
+  }
+  if (typeof ArrayBuffer !== "undefined" && ArrayBuffer.isView(value)) {
+    return true;
+  }
+  return _internalSlotTags[Object.prototype.toString.call(value)] === true;
+}
+
+// The classes of the host objects that break when they are wrapped, because
+// the host checks that they are the real object. It is built on first use,
+// since only the ones that the environment has can be listed.
+let _hostClasses: Array<Class<any>> | null = null;
+
+function _getHostClasses(): Array<Class<any>> {
+  if (_hostClasses == null) {
+    const hostClasses: Array<?Class<any>> = [
+      // Includes File
+      typeof Blob !== "undefined" ? Blob : null,
+      typeof FileList !== "undefined" ? FileList : null,
+      typeof FormData !== "undefined" ? FormData : null,
+      // Includes DOM nodes, window, XMLHttpRequest and WebSocket
+      typeof EventTarget !== "undefined" ? EventTarget : null,
+      typeof Event !== "undefined" ? Event : null,
+      typeof ImageData !== "undefined" ? ImageData : null,
+      typeof URL !== "undefined" ? URL : null,
+      typeof URLSearchParams !== "undefined" ? URLSearchParams : null,
+      typeof Headers !== "undefined" ? Headers : null,
+      typeof Request !== "undefined" ? Request : null,
+      typeof Response !== "undefined" ? Response : null,
+    ];
+    _hostClasses = (hostClasses.filter(Boolean): any);
+  }
+  return _hostClasses;
+}
+
+/**
+ * A `shouldIgnore` preset that ignores host objects, like files, DOM nodes and
+ * events, which don't work properly when they are wrapped by a sentinel. It is
+ * the default `shouldIgnore`, and can be combined with your own rules:
+ *
+ *   shouldIgnore: obj => ignoreHostObjects(obj) || obj instanceof MyClass
+ */
+export function ignoreHostObjects(value: mixed): boolean {
+  if (value == null || typeof value !== "object") {
+    return false;
+  }
+  // Plain objects and arrays are the most common by far, and checking them
+  // against every host class would slow down every read of a sentinel.
+  const prototype = Object.getPrototypeOf(value);
+  if (
+    prototype === Object.prototype ||
+    prototype === Array.prototype ||
+    prototype === null
+  ) {
+    return false;
+  }
+  const hostClasses = _getHostClasses();
+  for (let i = 0; i < hostClasses.length; i++) {
+    if (value instanceof hostClasses[i]) {
+      return true;
+    }
+  }
+  return false;
+}
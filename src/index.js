@@ -1,19 +1,106 @@
 // @flow
 
-import makeSentinel, {configureSentinels, isSentinel} from "./makeSentinel";
+import makeSentinel, {
+  configureSentinels,
+  flushMutationReports,
+  getOriginal,
+  getSamplingStats,
+  getSentinelConfig,
+  isSentinel,
+  makeImmutable,
+  pauseSentinels,
+  resetSamplingStats,
+  resumeSentinels,
+  runUnguarded,
+  runWithSentinelContext,
+  trackReads,
+  withSentinelConfig,
+  withSentinelConfigAsync,
+} from "./makeSentinel";
+import {checkpoint, verifyCheckpoint} from "./checkpoint";
+import createMutationRecorder from "./createMutationRecorder";
+import deepUnwrap from "./deepUnwrap";
+import guardPure from "./guardPure";
+import {ignoreHostObjects} from "./hostObjects";
 
 import type {
+  Checkpoint as _Checkpoint,
+  CheckpointChange as _CheckpointChange,
+  CheckpointOpts as _CheckpointOpts,
+} from "./checkpoint";
+import type {
+  Dedupe as _Dedupe,
+  DedupeOpts as _DedupeOpts,
+  Enforce as _Enforce,
+  FullSentinelOpts as _FullSentinelOpts,
+  MakeSentinelOpts as _MakeSentinelOpts,
+  Mode as _Mode,
+  PauseOpts as _PauseOpts,
+  Propagate as _Propagate,
+  Sampler as _Sampler,
+  SamplingStats as _SamplingStats,
+  SentinelTags as _SentinelTags,
   ShouldIgnore as _ShouldIgnore,
   Mutation as _Mutation,
+  MutationAction as _MutationAction,
+  MutationGuard as _MutationGuard,
   MutationHandler as _MutationHandler,
   SentinelOpts as _SentinelOpts,
 } from "./makeSentinel";
+import type {PathPattern as _PathPattern} from "./pathPatterns";
+import type {
+  MutationRecorder as _MutationRecorder,
+  MutationReport as _MutationReport,
+  MutationReportEntry as _MutationReportEntry,
+} from "./createMutationRecorder";
 
 export default makeSentinel;
 
-export {configureSentinels, isSentinel};
+export {
+  checkpoint,
+  configureSentinels,
+  createMutationRecorder,
+  deepUnwrap,
+  flushMutationReports,
+  getOriginal,
+  getSamplingStats,
+  getSentinelConfig,
+  guardPure,
+  ignoreHostObjects,
+  isSentinel,
+  makeImmutable,
+  pauseSentinels,
+  resetSamplingStats,
+  resumeSentinels,
+  runUnguarded,
+  runWithSentinelContext,
+  trackReads,
+  verifyCheckpoint,
+  withSentinelConfig,
+  withSentinelConfigAsync,
+};
 
+export type Checkpoint = _Checkpoint;
+export type CheckpointChange = _CheckpointChange;
+export type CheckpointOpts = _CheckpointOpts;
+export type Dedupe = _Dedupe;
+export type DedupeOpts = _DedupeOpts;
+export type Enforce = _Enforce;
+export type FullSentinelOpts = _FullSentinelOpts;
+export type MakeSentinelOpts = _MakeSentinelOpts;
+export type Mode = _Mode;
+export type PathPattern = _PathPattern;
+export type PauseOpts = _PauseOpts;
+export type Propagate = _Propagate;
+export type Sampler = _Sampler;
+export type SamplingStats = _SamplingStats;
 export type ShouldIgnore = _ShouldIgnore;
 export type Mutation = _Mutation;
+export type MutationAction = _MutationAction;
+export type MutationGuard = _MutationGuard;
 export type MutationHandler = _MutationHandler;
+export type MutationRecorder = _MutationRecorder;
+export type MutationReport = _MutationReport;
+export type MutationReportEntry = _MutationReportEntry;
 export type SentinelOpts = _SentinelOpts;
+export type SentinelTags = _SentinelTags;
@@ -0,0 +1,283 @@
+// @flow
+/* eslint-env jest */
+
+import {checkpoint, verifyCheckpoint} from "./checkpoint";
+import type {CheckpointChange} from "./checkpoint";
+import makeSentinel, {
+  _getExistingSentinel,
+  _observeMutations,
+  _runGuarded,
+} from "./makeSentinel";
+import type {Mutation} from "./makeSentinel";
+
+// A mutation of one of the arguments of a function, where `argument` is the
+// index of the argument.
+type ArgumentMutation = {|argument: number, mutation: Mutation|};
+
+// A change of one of the arguments of a function, found by comparing it with
+// a checkpoint taken before the call.
+type ArgumentChange = {|argument: number, change: CheckpointChange|};
+
+// What `_runWithSentinels` returns
+type SentinelRun = {|
+  result: mixed,
+  mutations: Array<ArgumentMutation>,
+  changes: Array<ArgumentChange>,
+|};
+
+// Flow core.js uses the weak Function type for functions of any signature.
+// eslint-disable-next-line flowtype/no-weak-types
+type AnyFunction = Function;
+
+/**
+ * Jest matchers, for `expect.extend`:
+ *
+ *   expect(reducer).not.toMutate(state, action);
+ *   expect(sortInPlace).toMutateAt("0.shipments", state);
+ *
+ * Both call the function with each of the arguments wrapped by a sentinel.
+ * Their failure messages list the mutations, followed by a diff of the
+ * arguments before and after the call. `toMutateAt` passes if a mutation was
+ * made at the path, which starts with the index of the argument. The path is
+ * either an array or a string with dots between the segments.
+ */
+export const matchers = {
+  toMutate(received: AnyFunction, ...args: Array<mixed>) {
+    const run = _runWithSentinels(received, args);
+    const pass = run.mutations.length > 0;
+    const hint = this.utils.matcherHint(
+      pass ? ".not.toMutate" : ".toMutate",
+      "fn",
+      "...args"
+    );
+    return {
+      pass,
+      message: () =>
+        pass
+          ? `${hint}\n\nExpected fn not to mutate its arguments, but it made ` +
+            `these mutations:\n${_formatRun(run.mutations, run.changes)}`
+          : `${hint}\n\nExpected fn to mutate its arguments, but it made no ` +
+            `mutations.`,
+    };
+  },
+
+  toMutateAt(
+    received: AnyFunction,
+    path: string | Array<string | number>,
+    ...args: Array<mixed>
+  ) {
+    const expectedPath =
+      typeof path === "string" ? path.split(".") : path.map(String);
+    const {mutations, changes} = _runWithSentinels(received, args);
+    const matching = mutations.filter(({argument, mutation}) =>
+      _mutatedPaths(argument, mutation).some(mutatedPath =>
+        _pathEq(mutatedPath, expectedPath)
+      )
+    );
+    const pass = matching.length > 0;
+    const hint = this.utils.matcherHint(
+      pass ? ".not.toMutateAt" : ".toMutateAt",
+      "fn",
+      "path",
+      {secondArgument: "...args"}
+    );
+    const printedPath = this.utils.printExpected(expectedPath);
+    return {
+      pass,
+      message: () => {
+        if (pass) {
+          return (
+            `${hint}\n\nExpected fn not to mutate its arguments at ` +
+            `${printedPath}, but it made these mutations:\n` +
+            _formatRun(matching, changes)
+          );
+        }
+        return mutations.length > 0
+          ? `${hint}\n\nExpected fn to mutate its arguments at ` +
+              `${printedPath}, but it only made these mutations:\n` +
+              _formatRun(mutations, changes)
+          : `${hint}\n\nExpected fn to mutate its arguments at ` +
+              `${printedPath}, but it made no mutations.`;
+      },
+    };
+  },
+};
+
+/**
+ * Calls `fn` with each of the arguments wrapped by a sentinel, and throws if
+ * it mutates any of them. Otherwise, returns what `fn` returned.
+ */
+export function assertNoMutations<T>(
+  fn: (...args: Array<any>) => T,
+  ...args: Array<mixed>
+): T {
+  const {result, mutations, changes} = _runWithSentinels(fn, args);
+  if (mutations.length > 0) {
+    throw new Error(
+      "Expected fn not to mutate its arguments, but it made these " +
+        `mutations:\n${_formatRun(mutations, changes)}`
+    );
+  }
+  return (result: any);
+}
+
+/**
+ * Makes every test fail if a sentinel reports a mutation while it runs,
+ * whichever mutation handler the mutation is passed to, by observing the
+ * mutations from `beforeEach` and checking them after each test. The mutation
+ * handlers are left as they are. Mutations of the arguments of the matchers
+ * and `assertNoMutations` are expected, so they don't count.
+ *
+ * Usually called by the setup file, `mutation-sentinel/jest-setup`.
+ */
+export function failOnUnexpectedMutations(): void {
+  let mutations: Array<Mutation> = [];
+  let stopObserving: (() => void) | null = null;
+  beforeEach(() => {
+    stopObserving = _observeMutations(mutation => {
+      mutations.push(mutation);
+    });
+  });
+  afterEach(() => {
+    if (stopObserving != null) {
+      stopObserving();
+      stopObserving = null;
+    }
+    const unexpected = mutations;
+    mutations = [];
+    if (unexpected.length > 0) {
+      throw new Error(
+        "Expected the test not to mutate any sentinels, but it made these " +
+          `mutations:\n${unexpected
+            .map(mutation =>
+              _formatMutation(
+                mutation.label != null ? mutation.label : "root",
+                mutation
+              )
+            )
+            .join("\n")}`
+      );
+    }
+  });
+}
+
+/**
+ * Calls `fn` with each of the arguments wrapped by a sentinel, and returns
+ * its result along with the mutations of the arguments it made, and the
+ * changes of the arguments if it made any.
+ *
+ * Arguments that already have a sentinel are passed as that sentinel, so
+ * they keep its root and options. Their mutations are taken from the
+ * mutation handlers only until `fn` returns, and the ones made afterwards
+ * are reported as usual.
+ */
+function _runWithSentinels(fn: AnyFunction, args: Array<mixed>): SentinelRun {
+  const checkpoints = args.map(arg => checkpoint(arg));
+  const sentinelArgs = args.map(arg => {
+    const sentinel = _getExistingSentinel(arg);
+    return sentinel !== undefined
+      ? sentinel
+      : makeSentinel(arg, {mode: "sentinel", sampleRate: 1});
+  });
+  const mutations = [];
+  const {result} = _runGuarded(
+    fn.name || "anonymous",
+    sentinelArgs,
+    guardedArgs => fn(...guardedArgs),
+    (mutation, argument) => {
+      mutations.push({argument, mutation});
+    }
+  );
+  const changes = [];
+  if (mutations.length > 0) {
+    checkpoints.forEach((cp, argument) => {
+      verifyCheckpoint(cp).forEach(change => {
+        changes.push({argument, change});
+      });
+    });
+  }
+  return {result, mutations, changes};
+}
+
+// The paths of the mutation, including the argument: the path of the mutation
+// itself, and the paths of the writes made by an Array method.
+function _mutatedPaths(
+  argument: number,
+  mutation: Mutation
+): Array<Array<string>> {
+  const paths = [[String(argument)].concat(mutation.path)];
+  if (mutation.type === "arrayMethod") {
+    mutation.children.forEach(child => {
+      paths.push([String(argument)].concat(child.path));
+    });
+  }
+  return paths;
+}
+
+function _pathEq(a: Array<string>, b: Array<string>): boolean {
+  return a.length === b.length && a.every((segment, i) => segment === b[i]);
+}
+
+// Lists the mutations, followed by a diff of the arguments, if they changed.
+function _formatRun(
+  mutations: Array<ArgumentMutation>,
+  changes: Array<ArgumentChange>
+): string {
+  const list = mutations
+    .map(({argument, mutation}) =>
+      _formatMutation(`arguments[${argument}]`, mutation)
+    )
+    .join("\n");
+  return changes.length > 0
+    ? `${list}\n\nDifference (- before, + after):\n${_formatChanges(changes)}`
+    : list;
+}
+
+// Formats the changes like a diff, with a line starting with "-" for the value
+// before each change, and a line starting with "+" for the value after it.
+function _formatChanges(changes: Array<ArgumentChange>): string {
+  return changes
+    .map(({argument, change}) => {
+      const target = [`arguments[${argument}]`].concat(change.path).join(".");
+      const lines = [];
+      if (change.type !== "added") {
+        lines.push(`  - ${target}: ${_stringify(change.before)}`);
+      }
+      if (change.type !== "removed") {
+        lines.push(`  + ${target}: ${_stringify(change.after)}`);
+      }
+      return lines.join("\n");
+    })
+    .join("\n");
+}
+
+// Formats a mutation as a line like `set root.shipments.0.id = 2`, followed by
+// a line with its call site, if it is known. The path is marked if the object
+// was reached through several paths, since it may not be the one written to.
+function _formatMutation(rootName: string, mutation: Mutation): string {
+  const target = [rootName].concat(mutation.path.map(String)).join(".");
+  let line = `  ${mutation.type} ${target}`;
+  if (mutation.type === "arrayMethod") {
+    line += ` (${mutation.method})`;
+  } else if (mutation.type === "set" || mutation.type === "mapSet") {
+    line += ` = ${_stringify(mutation.value)}`;
+  }
+  if (mutation.ambiguousPath) {
+    line += " (or another path to the same object)";
+  }
+  return mutation.callSite != null
+    ? `${line}\n    at ${mutation.callSite}`
+    : line;
+}
+
+function _stringify(value: mixed): string {
+  try {
+    const json = JSON.stringify(value);
+    if (json !== undefined) {
+      return json;
+    }
+  } catch (e) {
+    // Cycles and BigInts can't be converted to JSON.
+  }
+  return String(value);
+}
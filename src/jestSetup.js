@@ -0,0 +1,10 @@
+// @flow
+/* eslint-env jest */
+
+// A setup file for Jest, which adds the matchers of `mutation-sentinel/jest`
+// and fails every test that makes unexpected mutations.
+
+import {failOnUnexpectedMutations, matchers} from "./jest";
+
+expect.extend(matchers);
+failOnUnexpectedMutations();
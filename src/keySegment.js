@@ -0,0 +1,11 @@
+// @flow
+
+/**
+ * Returns the path segment for an entry of a Map: primitive keys are converted
+ * to strings, and object keys become "[object]".
+ */
+export default function keySegment(key: mixed): string {
+  return key != null && (typeof key === "object" || typeof key === "function")
+    ? "[object]"
+    : String(key);
+}
@@ -1,196 +1,1903 @@
 // @flow
 
+import createContextStorage from "./contextStorage";
+import type {ContextStorage} from "./contextStorage.browser";
+import {hasInternalSlots, ignoreHostObjects} from "./hostObjects";
 import isWeakMapAvailable from "./isWeakMapAvailable";
+import keySegment from "./keySegment";
+import makePathMatcher, {isPathPattern} from "./pathPatterns";
+import type {PathMatcher, PathPattern} from "./pathPatterns";
 
 // =============================================================================
 // Global configuration
 // =============================================================================
 
-type FullSentinelOpts = {|
+export type FullSentinelOpts = {|
   shouldIgnore: ShouldIgnore,
   mutationHandler: MutationHandler,
+  enforce: Enforce,
+  dedupe: Dedupe,
+  mode: Mode,
+  sampleRate: number,
+  sampler: Sampler,
+  ignoreMutations: Array<PathPattern>,
+  propagate: Array<string>,
 |};
 
 export type SentinelOpts = {|
   shouldIgnore?: ShouldIgnore | void,
   mutationHandler?: MutationHandler | void,
+  enforce?: Enforce | void,
+  dedupe?: DedupeOpts | void,
+  mode?: Mode | void,
+  sampleRate?: number | void,
+  sampler?: Sampler | void,
+  ignoreMutations?: $ReadOnlyArray<PathPattern> | void,
+  propagate?: Propagate | void,
 |};
 
+// Options for a single sentinel, passed to `makeSentinel`. Options that are
+// not given fall back to the global options.
+export type MakeSentinelOpts = {|
+  label?: string | void,
+  shouldIgnore?: ShouldIgnore | void,
+  mutationHandler?: MutationHandler | void,
+  enforce?: Enforce | void,
+  mode?: Mode | void,
+  sampleRate?: number | void,
+  sampler?: Sampler | void,
+  ignoreMutations?: $ReadOnlyArray<PathPattern> | void,
+  propagate?: Propagate | void,
+|};
+
+type RootOpts = {|
+  label: string | void,
+  shouldIgnore: ShouldIgnore | void,
+  mutationHandler: MutationHandler | void,
+  enforce: Enforce | void,
+  // The matcher for the `ignoreMutations` option, or null if it is empty
+  ignoreMutations: PathMatcher | null | void,
+  propagate: Array<string> | void,
+  // The last action of the Redux store whose state this is
+  storeAction: StoreAction | void,
+|};
+
+// The last action of a Redux store, which `mutation-sentinel/redux` updates
+// in place on every dispatch, so that the sentinels of all of the states of
+// the store see it.
+export type StoreAction = {action: MutationAction | null};
+
+// Whether sentinels refuse the mutations they detect. With "throw", refused
+// writes throw a TypeError in strict mode code (and Object.defineProperty
+// always throws). With "ignore", refused writes are silently dropped, except
+// where the Proxy invariants require the write to fail, in which case they
+// behave as with "throw". Either way, the mutation is still reported.
+export type Enforce = false | "throw" | "ignore";
+
+// Which of the Array methods that return a new array built from the elements
+// of a sentinel return it wrapped as well: `true` for all of them, or the
+// names of some of them.
+export type Propagate = boolean | $ReadOnlyArray<string>;
+
+// What `makeSentinel` does with a value. "sentinel" wraps it in a sentinel,
+// and "freeze" deep-freezes it with `makeImmutable` instead, which is cheaper
+// but only reports mutations of Map, Set, WeakMap, WeakSet and Date objects.
+export type Mode = "sentinel" | "freeze";
+
+// Whether mutations are deduplicated by call site before they reach the
+// mutation handler. Within `windowMs` milliseconds of the first report from a
+// call site, at most `maxReportsPerSite` mutations from that site are
+// reported. The rest are only counted, and the count is passed on as the
+// `occurrences` of the next report from the site.
+export type Dedupe = false | {|windowMs: number, maxReportsPerSite: number|};
+
+// Options that are left out of the object use their defaults, and `true`
+// turns on deduplication with the default window and maximum.
+export type DedupeOpts =
+  | boolean
+  | {|+windowMs?: number, +maxReportsPerSite?: number|};
+
+// Tags that describe what the app is doing, like the current route, request or
+// job, given to `runWithSentinelContext`.
+export type SentinelTags = {+[tag: string]: mixed};
+
+// Decides whether an object passed to `makeSentinel` is wrapped, when
+// `sampleRate` is below 1. The decision is made once for each object.
+export type Sampler = (value: Observable, sampleRate: number) => boolean;
+
+// The number of objects passed to `makeSentinel` that were wrapped or not
+// because of `sampleRate`.
+export type SamplingStats = {|sampledIn: number, sampledOut: number|};
+
 export type ShouldIgnore = mixed => boolean;
 export type MutationHandler = Mutation => void;
 
+export type Mutation =
+  | {|...MutationBase, ...DefinePropertyMutation|}
+  | {|...MutationBase, ...DeletePropertyMutation|}
+  | {|...MutationBase, ...SetMutation|}
+  | {|...MutationBase, ...SetPrototypeOfMutation|}
+  | {|...MutationBase, ...MapSetMutation|}
+  | {|...MutationBase, ...SetAddMutation|}
+  | {|...MutationBase, ...CollectionDeleteMutation|}
+  | {|...MutationBase, ...CollectionClearMutation|}
+  | {|...MutationBase, ...DateSetMutation|}
+  | {|...MutationBase, ...ArrayMethodMutation|}
+  | {|...MutationBase, ...IntegrityMutation|};
+
+// The part of a Mutation that is common to all types.
+//
+// `path` lists the properties that were read to get from `root` (the object
+// passed to `makeSentinel`) to `target`, followed by the mutated property
+// itself. Map entries are part of the path as well: primitive keys are
+// converted to strings, and object keys become "[object]". If `target` was
+// read through several paths, `root` and `path` come from the last read, which
+// isn't always the one used for the write. `label` is the label of the root
+// sentinel, if it was given one. `blocked` is true if the sentinel refused the
+// mutation because of the `enforce` option.
+//
+// `stack` is the stack trace at the time of the mutation, if the environment
+// provides one, and `callSite` is the first frame of it that is outside of
+// this module. `occurrences` is the number of mutations that this report
+// stands for: the mutation itself plus the mutations from the same call site
+// that were held back by the `dedupe` option since the last report.
+//
+// `component` is the display name of the React component that was rendering,
+// or running a lifecycle method, when the mutation was made. It is only known
+// for components wrapped with `withSentinelProps` from
+// `mutation-sentinel/react`, and is null otherwise. Likewise, `action` is
+// only known for stores created with `sentinelEnhancer` from
+// `mutation-sentinel/redux`.
+//
+// `tags` are the tags of the active `runWithSentinelContext` calls, and
+// `guard` is the function guarded by `guardPure` that was called with the
+// target, or with an object it was reached through, as an argument.
+//
+// `ambiguousPath` is true if the target has been reached through more than
+// one path. `path` is then the one read last, which isn't necessarily the one
+// used for the write, and `label` and `blocked` follow the root of that path.
+type MutationBase = {|
+  target: Observable,
+  root: Observable,
+  path: Array<string>,
+  label: string | void,
+  blocked: boolean,
+  stack: string | void,
+  callSite: string | void,
+  occurrences: number,
+  component: string | null,
+  action: MutationAction | null,
+  tags: SentinelTags,
+  guard: MutationGuard | null,
+  ambiguousPath: boolean,
+|};
+
+// The Redux action that was being reduced when the mutation was made, if
+// `inReducer` is true, or else the last action that was dispatched, by the
+// store whose state the mutated object was reached through.
+export type MutationAction = {|type: string, inReducer: boolean|};
+
+// The name of a function guarded by `guardPure`, and the index of the
+// argument that was mutated.
+export type MutationGuard = {|name: string, argument: number|};
+
 // Flow core.js uses the weak Object types for these.
 /* eslint-disable flowtype/no-weak-types */
-export type Mutation =
-  | {|
+type DefinePropertyMutation = {|
+  type: "defineProperty",
+  property: string,
+  descriptor: Object,
+|};
+type DeletePropertyMutation = {|
+  type: "deleteProperty",
+  property: string,
+|};
+type SetMutation = {|
+  type: "set",
+  property: string,
+  value: any,
+|};
+type SetPrototypeOfMutation = {|
+  type: "setPrototypeOf",
+  property: "[[Prototype]]",
+  prototype: ?Object,
+|};
+type MapSetMutation = {|
+  type: "mapSet",
+  key: any,
+  value: any,
+|};
+type SetAddMutation = {|
+  type: "setAdd",
+  value: any,
+|};
+type CollectionDeleteMutation = {|
+  type: "collectionDelete",
+  key: any,
+|};
+type CollectionClearMutation = {|
+  type: "collectionClear",
+|};
+type DateSetMutation = {|
+  type: "dateSet",
+  method: string,
+  args: Array<any>,
+  value: number,
+|};
+// A call of a mutating Array method. `children` are the `set`,
+// `deleteProperty` and `defineProperty` mutations the method made, which are
+// not reported on their own.
+type ArrayMethodMutation = {|
+  type: "arrayMethod",
+  method: string,
+  args: Array<any>,
+  lengthBefore: number,
+  lengthAfter: number,
+  children: Array<Mutation>,
+|};
+// Object.preventExtensions, Object.freeze and Object.seal. Freeze and seal are
+// reported as a single mutation, instead of a preventExtensions mutation
+// followed by a defineProperty mutation for every property, where the stack
+// shows that they are running.
+type IntegrityMutation = {|
+  type: IntegrityLevel,
+|};
+type IntegrityLevel = "preventExtensions" | "freeze" | "seal";
+/* eslint-enable flowtype/no-weak-types */
+
+// The part of a Mutation that is specific to its type.
+type MutationDetails =
+  | DefinePropertyMutation
+  | DeletePropertyMutation
+  | SetMutation
+  | SetPrototypeOfMutation
+  | MapSetMutation
+  | SetAddMutation
+  | CollectionDeleteMutation
+  | CollectionClearMutation
+  | DateSetMutation
+  | ArrayMethodMutation
+  | IntegrityMutation;
+
+type Observable = {} | (() => mixed);
+
+// The options set by `configureSentinels`. The options of the active
+// `withSentinelConfig` scopes apply on top of them, see `_getOpts`.
+// Visible for testing
+export const _globalOpts: FullSentinelOpts = {
+  shouldIgnore: ignoreHostObjects,
+  mutationHandler: _defaultMutationHandler,
+  enforce: false,
+  dedupe: false,
+  mode: "sentinel",
+  sampleRate: 1,
+  sampler: _sampleRandomly,
+  ignoreMutations: [],
+  propagate: [],
+};
+
+// The matcher for the `ignoreMutations` option of `_globalOpts`
+let _globalIgnoreMutations: PathMatcher | null = null;
+
+// A `withSentinelConfig` or `withSentinelConfigAsync` scope. Callbacks and
+// promises keep the context they were created in after the scope ends, so
+// `active` is cleared instead of removing the scope from the context.
+type ConfigScope = {|opts: SentinelOpts, active: boolean|};
+
+// The scopes of a context, outermost first, and the options they result in.
+// The options are worked out again whenever `_configVersion` changes.
+type ConfigContext = {|
+  scopes: Array<ConfigScope>,
+  opts: FullSentinelOpts,
+  ignoreMutations: PathMatcher | null,
+  version: number,
+|};
+
+// Keeps the config scopes of each async chain apart where AsyncLocalStorage
+// is available, like the tags of `runWithSentinelContext`
+const _configStorage: ContextStorage<ConfigContext> = createContextStorage();
+
+// The number of active scopes. While there are none, the context doesn't have
+// to be looked up.
+let _activeScopeCount = 0;
+
+// Changes whenever the options of a context may have changed
+let _configVersion = 0;
+
+export function configureSentinels(opts: SentinelOpts) {
+  _setOpts(_globalOpts, opts, false);
+  _globalIgnoreMutations = makePathMatcher(_globalOpts.ignoreMutations);
+  _configVersion++;
+}
+
+/**
+ * Calls `fn` with `opts` applied on top of the current options, and restores
+ * the previous options when it returns or throws. Unlike `configureSentinels`,
+ * options that are left out of `opts` keep their current values. Options that
+ * are given but set to `undefined` are reset to their defaults.
+ */
+export function withSentinelConfig<T>(opts: SentinelOpts, fn: () => T): T {
+  const scope = {opts, active: true};
+  const context = _beginConfigScope(scope);
+  try {
+    return _configStorage.run(context, fn);
+  } finally {
+    _endConfigScope(scope);
+  }
+}
+
+/**
+ * Like `withSentinelConfig`, but keeps `opts` applied until the promise
+ * returned by `fn` settles.
+ *
+ * The options only apply to the code that `fn` runs, including after awaits
+ * and in the callbacks it schedules, since they are kept with
+ * AsyncLocalStorage. Code running in the meantime outside of `fn`, like
+ * another request, keeps its own options. Where AsyncLocalStorage is missing,
+ * like in browsers, the options are only applied until `fn` returns.
+ */
+export function withSentinelConfigAsync<T>(
+  opts: SentinelOpts,
+  fn: () => Promise<T>
+): Promise<T> {
+  const scope = {opts, active: true};
+  const context = _beginConfigScope(scope);
+  let promise;
+  try {
+    promise = Promise.resolve(_configStorage.run(context, fn));
+  } catch (e) {
+    _endConfigScope(scope);
+    return Promise.reject(e);
+  }
+  return promise.then(
+    value => {
+      _endConfigScope(scope);
+      return value;
+    },
+    error => {
+      _endConfigScope(scope);
+      throw error;
+    }
+  );
+}
+
+/**
+ * Returns a copy of the options that are currently in effect.
+ */
+export function getSentinelConfig(): FullSentinelOpts {
+  const opts = _getOpts();
+  const dedupe = opts.dedupe;
+  return {
+    shouldIgnore: opts.shouldIgnore,
+    mutationHandler: opts.mutationHandler,
+    enforce: opts.enforce,
+    dedupe: dedupe && {
+      windowMs: dedupe.windowMs,
+      maxReportsPerSite: dedupe.maxReportsPerSite,
+    },
+    mode: opts.mode,
+    sampleRate: opts.sampleRate,
+    sampler: opts.sampler,
+    ignoreMutations: opts.ignoreMutations.slice(),
+    propagate: opts.propagate.slice(),
+  };
+}
+
+/**
+ * Returns the global `shouldIgnore`, like `getSentinelConfig`, without copying
+ * the other options. Used by the entry points that add to it, since it is
+ * called for every object that is read.
+ */
+export function _getGlobalShouldIgnore(): ShouldIgnore {
+  return _getOpts().shouldIgnore;
+}
+
+// Returns a context with the active scopes of the current one, and `scope`.
+function _beginConfigScope(scope: ConfigScope): ConfigContext {
+  const parent = _activeScopeCount !== 0 ? _configStorage.getStore() : null;
+  _activeScopeCount++;
+  _configVersion++;
+  return {
+    scopes: (parent != null
+      ? parent.scopes.filter(parentScope => parentScope.active)
+      : []
+    ).concat(scope),
+    opts: _globalOpts,
+    ignoreMutations: null,
+    version: -1,
+  };
+}
+
+function _endConfigScope(scope: ConfigScope): void {
+  if (scope.active) {
+    scope.active = false;
+    _activeScopeCount--;
+    _configVersion++;
+  }
+}
+
+// The context of the active config scopes that apply to the running code, or
+// null if there are none
+function _getConfigContext(): ConfigContext | null {
+  if (_activeScopeCount === 0) {
+    return null;
+  }
+  const context = _configStorage.getStore();
+  if (context == null) {
+    return null;
+  }
+  if (context.version !== _configVersion) {
+    const opts: FullSentinelOpts = ({..._globalOpts}: any);
+    context.scopes.forEach(scope => {
+      if (scope.active) {
+        _setOpts(opts, scope.opts, true);
+      }
+    });
+    context.opts = opts;
+    context.ignoreMutations = makePathMatcher(opts.ignoreMutations);
+    context.version = _configVersion;
+  }
+  return context;
+}
+
+// The options in effect: the ones set by `configureSentinels`, overridden by
+// the options of the active scopes that apply to the running code
+function _getOpts(): FullSentinelOpts {
+  const context = _getConfigContext();
+  return context != null ? context.opts : _globalOpts;
+}
+
+function _getGlobalIgnoreMutations(): PathMatcher | null {
+  const context = _getConfigContext();
+  return context != null ? context.ignoreMutations : _globalIgnoreMutations;
+}
+
+/**
+ * Copies `opts` to `fullOpts`, replacing options that are not functions with
+ * their defaults. If `onlyGiven` is true, options that are not own properties
+ * of `opts` are left as they are.
+ */
+function _setOpts(
+  fullOpts: FullSentinelOpts,
+  opts: {
+    +shouldIgnore?: mixed,
+    +mutationHandler?: mixed,
+    +enforce?: mixed,
+    +dedupe?: mixed,
+    +mode?: mixed,
+    +sampleRate?: mixed,
+    +sampler?: mixed,
+    +ignoreMutations?: mixed,
+    +propagate?: mixed,
+  },
+  onlyGiven: boolean
+): void {
+  const hasOwn = Object.prototype.hasOwnProperty;
+  if (!onlyGiven || hasOwn.call(opts, "shouldIgnore")) {
+    fullOpts.shouldIgnore =
+      typeof opts.shouldIgnore === "function"
+        ? opts.shouldIgnore
+        : ignoreHostObjects;
+  }
+  if (!onlyGiven || hasOwn.call(opts, "mutationHandler")) {
+    fullOpts.mutationHandler =
+      typeof opts.mutationHandler === "function"
+        ? opts.mutationHandler
+        : _defaultMutationHandler;
+  }
+  if (!onlyGiven || hasOwn.call(opts, "enforce")) {
+    fullOpts.enforce = _toEnforce(opts.enforce) || false;
+  }
+  if (!onlyGiven || hasOwn.call(opts, "dedupe")) {
+    fullOpts.dedupe = _toDedupe(opts.dedupe);
+  }
+  if (!onlyGiven || hasOwn.call(opts, "mode")) {
+    fullOpts.mode = opts.mode === "freeze" ? "freeze" : "sentinel";
+  }
+  if (!onlyGiven || hasOwn.call(opts, "sampleRate")) {
+    const sampleRate = _toSampleRate(opts.sampleRate);
+    fullOpts.sampleRate = sampleRate != null ? sampleRate : 1;
+  }
+  if (!onlyGiven || hasOwn.call(opts, "sampler")) {
+    fullOpts.sampler =
+      typeof opts.sampler === "function" ? opts.sampler : _sampleRandomly;
+  }
+  if (!onlyGiven || hasOwn.call(opts, "ignoreMutations")) {
+    fullOpts.ignoreMutations = _toPathPatterns(opts.ignoreMutations) || [];
+  }
+  if (!onlyGiven || hasOwn.call(opts, "propagate")) {
+    fullOpts.propagate = _toPropagate(opts.propagate) || [];
+  }
+}
+
+function _toEnforce(enforce: mixed): Enforce | void {
+  return enforce === "throw" || enforce === "ignore" || enforce === false
+    ? enforce
+    : undefined;
+}
+
+function _toSampleRate(sampleRate: mixed): number | void {
+  return typeof sampleRate === "number" && sampleRate >= 0 && sampleRate <= 1
+    ? sampleRate
+    : undefined;
+}
+
+function _toPathPatterns(patterns: mixed): Array<PathPattern> | void {
+  if (!Array.isArray(patterns)) {
+    return undefined;
+  }
+  // The patterns are checked by isPathPattern.
+  const pathPatterns: Array<any> = patterns.filter(isPathPattern);
+  return pathPatterns;
+}
+
+function _toPropagate(propagate: mixed): Array<string> | void {
+  if (typeof propagate === "boolean") {
+    return propagate ? _derivedArrayMethodNames.slice() : [];
+  }
+  if (!Array.isArray(propagate)) {
+    return undefined;
+  }
+  const names: Array<any> = propagate.filter(
+    name =>
+      typeof name === "string" && _derivedArrayMethodNames.indexOf(name) !== -1
+  );
+  return names;
+}
+
+function _toDedupe(dedupe: mixed): Dedupe {
+  if (dedupe === true) {
+    return {windowMs: 60000, maxReportsPerSite: 1};
+  }
+  if (dedupe == null || typeof dedupe !== "object") {
+    return false;
+  }
+  const {windowMs, maxReportsPerSite} = dedupe;
+  return {
+    windowMs: typeof windowMs === "number" && windowMs >= 0 ? windowMs : 60000,
+    maxReportsPerSite:
+      typeof maxReportsPerSite === "number" && maxReportsPerSite >= 1
+        ? Math.floor(maxReportsPerSite)
+        : 1,
+  };
+}
+
+// =============================================================================
+// Context tags
+// =============================================================================
+
+const _contextStorage: ContextStorage<SentinelTags> = createContextStorage();
+
+const _noTags: SentinelTags = Object.freeze({});
+
+/**
+ * Calls `fn` with the tags added to the tags of the mutations it makes. Nested
+ * calls add their tags to the ones of the calls around them, and replace the
+ * tags with the same names.
+ *
+ * In Node.js, the tags are kept in callbacks and after awaits, including the
+ * ones of the promise returned by `fn`, since they are stored with
+ * AsyncLocalStorage. Elsewhere, they are only applied until `fn` returns.
+ */
+export function runWithSentinelContext<T>(tags: SentinelTags, fn: () => T): T {
+  const contextTags: SentinelTags = Object.freeze(
+    Object.assign({}, _getSentinelTags(), tags)
+  );
+  return _contextStorage.run(contextTags, fn);
+}
+
+function _getSentinelTags(): SentinelTags {
+  const tags = _contextStorage.getStore();
+  return tags != null ? tags : _noTags;
+}
+
+// =============================================================================
+// Pausing
+// =============================================================================
+
+// Options for `pauseSentinels` and `runUnguarded`. `audit` is called with the
+// mutations that are let through while the sentinels are paused.
+export type PauseOpts = {|audit?: MutationHandler | void|};
+
+// The active pauses, innermost last
+type Pause = {|audit: MutationHandler | void|};
+const _pauses: Array<Pause> = [];
+
+// The pauses begun by `pauseSentinels`, which `resumeSentinels` ends, so that
+// it never ends the pause of a `runUnguarded` call
+const _pausesToResume: Array<Pause> = [];
+
+/**
+ * Pauses all sentinels until the matching call of `resumeSentinels`. While
+ * they are paused, sentinels let every mutation through without reporting or
+ * refusing it. Values made immutable by `makeImmutable` stay immutable.
+ *
+ * Calls can be nested, and the sentinels resume when every pause has been
+ * resumed. The `audit` handlers of all the active pauses are called with the
+ * mutations that are let through.
+ */
+export function pauseSentinels(opts?: PauseOpts): void {
+  _pausesToResume.push(_beginPause(opts));
+}
+
+/**
+ * Ends the innermost pause begun by `pauseSentinels`. The pauses of the
+ * `runUnguarded` calls that are running are left alone.
+ */
+export function resumeSentinels(): void {
+  const pause = _pausesToResume.pop();
+  if (pause == null) {
+    throw new Error("resumeSentinels() was called without pauseSentinels()");
+  }
+  _endPause(pause);
+}
+
+/**
+ * Calls `fn` with the sentinels paused, like `pauseSentinels`, and resumes
+ * them when it returns or throws.
+ */
+export function runUnguarded<T>(fn: () => T, opts?: PauseOpts): T {
+  const pause = _beginPause(opts);
+  try {
+    return fn();
+  } finally {
+    _endPause(pause);
+  }
+}
+
+function _beginPause(opts: ?PauseOpts): Pause {
+  const pause = {audit: opts != null ? opts.audit : undefined};
+  _pauses.push(pause);
+  return pause;
+}
+
+function _endPause(pause: Pause): void {
+  const index = _pauses.lastIndexOf(pause);
+  if (index !== -1) {
+    _pauses.splice(index, 1);
+  }
+}
+
+function _hasAudit(): boolean {
+  return _pauses.some(pause => pause.audit != null);
+}
+
+function _audit(mutation: Mutation): void {
+  _pauses.forEach(pause => {
+    if (pause.audit != null) {
+      pause.audit(mutation);
+    }
+  });
+}
+
+// =============================================================================
+// Read tracking
+// =============================================================================
+
+// A `trackReads` call that is running. `root` and `basePath` are the root and
+// path of the value passed to it, and `reads` maps each path that was read
+// (relative to the value) to itself, keyed by its JSON.
+type ReadTracker = {|
+  root: Observable,
+  basePath: Array<string>,
+  reads: Map<string, Array<string>>,
+|};
+
+// The active `trackReads` calls, innermost last
+const _readTrackers: Array<ReadTracker> = [];
+
+/**
+ * Calls `fn` with the sentinel for the value, and returns the paths of the
+ * properties that were read through it while `fn` ran, in the order in which
+ * they were first read. Paths are relative to the value, like the paths of
+ * mutations are to the root.
+ *
+ * Reads of own properties, and of properties that don't exist, are recorded
+ * with the `get` and `has` traps, and so are the keys of Map entries that
+ * are looked up. Listing the keys of an object, with `Object.keys` or a
+ * spread for example, is recorded with "[[OwnKeys]]" as the last segment.
+ * Symbol properties are not recorded.
+ *
+ * If the value is already wrapped, its sentinel keeps its root and options.
+ */
+export function trackReads<T>(
+  value: T,
+  fn: (sentinel: T) => mixed
+): Array<Array<string>> {
+  const sentinel = _getSentinelFor(value);
+  if (!isSentinel(sentinel)) {
+    fn(sentinel);
+    return [];
+  }
+  const meta = _getMeta(getOriginal((sentinel: any)));
+  const tracker = {root: meta.root, basePath: meta.path, reads: new Map()};
+  _readTrackers.push(tracker);
+  try {
+    fn(sentinel);
+  } finally {
+    _readTrackers.splice(_readTrackers.lastIndexOf(tracker), 1);
+  }
+  return Array.from(tracker.reads.values());
+}
+
+/**
+ * Records a read of the property of `target` for the active `trackReads`
+ * calls, unless it is inherited, like the methods of built-in objects.
+ */
+function _trackPropertyRead(target: Observable, property: string): void {
+  if (!(property in target) || _hasOwnProperty.call(target, property)) {
+    _recordRead(target, property);
+  }
+}
+
+function _recordRead(target: Observable, segment: string): void {
+  if (typeof segment !== "string") {
+    return;
+  }
+  const meta = _getMeta(target);
+  _readTrackers.forEach(tracker => {
+    if (!_isReachedThrough(meta, tracker.root, tracker.basePath)) {
+      return;
+    }
+    const path = meta.path.slice(tracker.basePath.length).concat(segment);
+    const key = JSON.stringify(path);
+    if (!tracker.reads.has(key)) {
+      tracker.reads.set(key, path);
+    }
+  });
+}
+
+/**
+ * Returns the sentinel for the value, like `makeSentinel`, except that if the
+ * value is already wrapped, its sentinel keeps its root and options.
+ */
+function _getSentinelFor<T>(value: T): T {
+  const sentinel = _getExistingSentinel(value);
+  return sentinel !== undefined ? sentinel : _makeSentinel(value, null, "");
+}
+
+/**
+ * Returns the sentinel of the value, or the value if it is a sentinel, or
+ * undefined if it has none. Used by the entry points that wrap the values they
+ * are given, so that values that are already wrapped keep the root and options
+ * of their sentinel.
+ */
+export function _getExistingSentinel<T>(value: T): T | void {
+  const original: any = getOriginal(value);
+  return _sentinelCache != null &&
+    original != null &&
+    (typeof original === "object" || typeof original === "function")
+    ? _sentinelCache.get(original)
+    : undefined;
+}
+
+// Whether the sentinel for `meta` was reached through the sentinel with the
+// given root and path.
+function _isReachedThrough(
+  meta: SentinelMeta,
+  root: Observable,
+  basePath: Array<string>
+): boolean {
+  return (
+    meta.root === root &&
+    basePath.every((segment, i) => meta.path[i] === segment)
+  );
+}
+
+// =============================================================================
+// Pure function guards
+// =============================================================================
+
+// A call of a function guarded by `guardPure` that is running. `args` has the
+// root and path of the sentinel for each argument, or null for arguments that
+// can't be wrapped, and whether the caller passed the sentinel itself.
+// `onMutation` takes the mutations of the arguments, if it is set.
+type GuardCall = {|
+  name: string,
+  args: Array<{|
+    root: Observable,
+    basePath: Array<string>,
+    callerWrapped: boolean,
+  |} | null>,
+  onMutation: ((mutation: Mutation, argument: number) => void) | void,
+|};
+
+// The active guarded calls, innermost last
+const _guardCalls: Array<GuardCall> = [];
+
+/**
+ * Calls `fn` with the sentinels for `args`, attributing the mutations of the
+ * arguments to the guarded function `name`. Used by `guardPure`.
+ *
+ * Also returns a function that tells whether a sentinel wraps an argument
+ * that the caller passed unwrapped, or an object reached through one.
+ *
+ * If `onMutation` is given, the mutations of the arguments made while `fn`
+ * runs are passed to it instead of their mutation handlers, along with the
+ * index of the argument, even if they are made in a nested guarded call. They
+ * are still refused if the `enforce` option of their sentinel says so. Used by
+ * the Jest matchers.
+ */
+export function _runGuarded<T>(
+  name: string,
+  args: Array<mixed>,
+  fn: (sentinelArgs: Array<mixed>) => T,
+  onMutation?: (mutation: Mutation, argument: number) => void
+): {|result: T, isFromUnwrappedArgument: (sentinel: mixed) => boolean|} {
+  const call = {name, args: [], onMutation};
+  const sentinelArgs = args.map(arg => {
+    const sentinel = _getSentinelFor(arg);
+    if (isSentinel(sentinel)) {
+      const meta = _getMeta(getOriginal((sentinel: any)));
+      call.args.push({
+        root: meta.root,
+        basePath: meta.path,
+        callerWrapped: isSentinel(arg),
+      });
+    } else {
+      call.args.push(null);
+    }
+    return sentinel;
+  });
+  _guardCalls.push(call);
+  let result;
+  try {
+    result = fn(sentinelArgs);
+  } finally {
+    _guardCalls.splice(_guardCalls.lastIndexOf(call), 1);
+  }
+  return {
+    result,
+    isFromUnwrappedArgument: sentinel => {
+      const argument = _getGuardedArgument(
+        call,
+        _getMeta(getOriginal((sentinel: any)))
+      );
+      return argument !== -1 && !(call.args[argument]: any).callerWrapped;
+    },
+  };
+}
+
+// Returns the index of the argument of the call that the sentinel for `meta`
+// wraps or was reached through, or -1.
+function _getGuardedArgument(call: GuardCall, meta: SentinelMeta): number {
+  for (let i = 0; i < call.args.length; i++) {
+    const arg = call.args[i];
+    if (arg != null && _isReachedThrough(meta, arg.root, arg.basePath)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Returns the innermost guarded call, and the argument of it, that a mutation
+// of the target of `meta` is attributed to.
+function _getMutationGuard(meta: SentinelMeta): MutationGuard | null {
+  for (let i = _guardCalls.length - 1; i >= 0; i--) {
+    const argument = _getGuardedArgument(_guardCalls[i], meta);
+    if (argument !== -1) {
+      return {name: _guardCalls[i].name, argument};
+    }
+  }
+  return null;
+}
+
+// Passes the mutation to the `onMutation` of the innermost guarded call that
+// has one, if the target of `meta` was reached through one of its arguments.
+// Returns whether it did.
+function _takeGuardedMutation(meta: SentinelMeta, mutation: Mutation): boolean {
+  for (let i = _guardCalls.length - 1; i >= 0; i--) {
+    const {onMutation} = _guardCalls[i];
+    const argument =
+      onMutation != null ? _getGuardedArgument(_guardCalls[i], meta) : -1;
+    if (onMutation != null && argument !== -1) {
+      onMutation(mutation, argument);
+      return true;
+    }
+  }
+  return false;
+}
+
+// =============================================================================
+// makeSentinel
+// =============================================================================
+
+// Map a non-sentinel value to its sentinel counterpart.
+// By using this cache we can guarantee the invariant that for a single object
+// reference, there will ever only be one corresponding sentinel.
+//
+// There is no way to type the WeakMap to enforce that a key/value pair has the
+// same type for the key and value, but allow different types of key/value
+// pairs in the map. Therefore we type the value as `any` and make sure that in
+// our code we enforce that we only cache <T, T> key/value pairs (or more
+// specifically, <T, Proxy<T>> pairs).
+type SentinelCache = WeakMap<Observable, any>;
+const _sentinelCache: SentinelCache | void = isWeakMapAvailable
+  ? new WeakMap()
+  : undefined;
+
+// Map a sentinel back to the value it wraps. This is also used as the set of
+// known sentinels, since not all browsers that support Proxy support WeakSet,
+// but they all support WeakMap.
+type KnownSentinels = WeakMap<Observable, Observable>;
+const _knownSentinels: KnownSentinels | void = isWeakMapAvailable
+  ? new WeakMap()
+  : undefined;
+
+// How the sentinel for a value was most recently reached. Since there is only
+// one sentinel per object, an object that can be reached through several
+// paths reports the path that was last used to get to it. The path is updated
+// every time the object is read through the `get` trap of another sentinel,
+// so for an expression like `root.a.b.c = 1` it is exactly the path used for
+// the write. A write through a reference that was read earlier is reported
+// with the path read last instead, even if it was read through another root,
+// so `ambiguousPath` is set once the object has been reached through paths
+// with different segments, or through a parent for which it is set. It stays
+// set, since references from before can still be used.
+//
+// The options of a sentinel come from its root, so they follow the path too:
+// an object that is shared by two roots with different options uses the
+// options of the root it was most recently reached through, including its
+// `enforce` option.
+//
+// Objects frozen by `makeImmutable` have a meta as well, with `immutable` set,
+// so that their mutations can be reported and are always refused.
+//
+// The meta also keeps what the traps need to know about the object, since
+// all sentinels share the same handler. `parentPath` is the path of the parent
+// the sentinel was reached from, which tells if the path has to be updated.
+// `accessors` is set for objects that can have getters, which the
+// `get` trap runs with the sentinel as `this`.
+type SentinelMeta = {
+  root: Observable,
+  path: Array<string>,
+  parentPath: Array<string> | null,
+  opts: RootOpts,
+  immutable: boolean,
+  sentinel: Observable | null,
+  builtinMethods: ?BuiltinMethods,
+  accessors: boolean,
+  ambiguousPath: boolean,
+};
+type SentinelMetas = WeakMap<Observable, SentinelMeta>;
+const _sentinelMetas: SentinelMetas | void = isWeakMapAvailable
+  ? new WeakMap()
+  : undefined;
+
+const _defaultRootOpts: RootOpts = {
+  label: undefined,
+  shouldIgnore: undefined,
+  mutationHandler: undefined,
+  enforce: undefined,
+  ignoreMutations: undefined,
+  propagate: undefined,
+  storeAction: undefined,
+};
+
+/**
+ * Returns a Proxy for the value if it is possible to watch for mutations on
+ * the value. Otherwise, return the value itself.
+ *
+ * The options apply to the sentinel and to all of the nested sentinels that
+ * are reached through it. Calling `makeSentinel` again for the same value
+ * returns the same sentinel, but makes it a root with the new options, except
+ * that an `enforce` it was given is never weakened. A sentinel passed to
+ * `makeSentinel` is returned as it is, with its root and options.
+ *
+ * If `sampleRate` is below 1, only some objects are wrapped, and the others
+ * are returned as they are. Nested objects are wrapped if their root is.
+ *
+ * Since our sentinel Proxy does not change the object in any way, including
+ * the flow types, we can force the return type to always be T.
+ */
+export default function makeSentinel<T>(value: T, opts?: MakeSentinelOpts): T {
+  return _makeRootSentinel(value, opts);
+}
+
+/**
+ * Like `makeSentinel`, for the state of a Redux store. The mutations of the
+ * objects reached through the state are reported with the last action of the
+ * store. Used by `mutation-sentinel/redux`.
+ */
+export function _makeStoreSentinel<T>(
+  value: T,
+  opts: MakeSentinelOpts,
+  storeAction: StoreAction
+): T {
+  return _makeRootSentinel(value, opts, storeAction);
+}
+
+function _makeRootSentinel<T>(
+  value: T,
+  opts: ?MakeSentinelOpts,
+  storeAction?: StoreAction
+): T {
+  if (!_isSampledIn(value, opts)) {
+    return value;
+  }
+  const mode = opts != null && opts.mode != null ? opts.mode : _getOpts().mode;
+  const rootOpts =
+    storeAction != null
+      ? ({..._toRootOpts(opts), storeAction}: any)
+      : _toRootOpts(opts);
+  if (mode === "freeze") {
+    return _makeImmutable(value, rootOpts);
+  }
+  return _makeSentinel(value, null, "", rootOpts);
+}
+
+// Whether each object passed to `makeSentinel` was sampled in, so that the
+// decision is the same every time the object is passed to it
+const _samplingDecisions: WeakMap<
+  Observable,
+  boolean
+> | void = isWeakMapAvailable ? new WeakMap() : undefined;
+
+const _samplingStats: SamplingStats = {sampledIn: 0, sampledOut: 0};
+
+/**
+ * Returns the number of objects that were wrapped or not because of
+ * `sampleRate`, since the last `resetSamplingStats`. Each object is counted
+ * once, the first time it is passed to `makeSentinel`.
+ */
+export function getSamplingStats(): SamplingStats {
+  return {
+    sampledIn: _samplingStats.sampledIn,
+    sampledOut: _samplingStats.sampledOut,
+  };
+}
+
+/**
+ * Sets the counts of `getSamplingStats` back to zero. Objects that were
+ * already sampled keep their decision, and are not counted again.
+ */
+export function resetSamplingStats(): void {
+  _samplingStats.sampledIn = 0;
+  _samplingStats.sampledOut = 0;
+}
+
+// The nested objects of a root are not sampled, since they are only wrapped
+// if their root is.
+function _isSampledIn(value: mixed, opts: ?MakeSentinelOpts): boolean {
+  const optsSampleRate = opts != null ? _toSampleRate(opts.sampleRate) : null;
+  const sampleRate =
+    optsSampleRate != null ? optsSampleRate : _getOpts().sampleRate;
+  if (
+    sampleRate >= 1 ||
+    _samplingDecisions == null ||
+    value == null ||
+    (typeof value !== "object" && typeof value !== "function") ||
+    isSentinel(value)
+  ) {
+    return true;
+  }
+  let sampledIn = _samplingDecisions.get(value);
+  if (sampledIn == null) {
+    const sampler =
+      opts != null && typeof opts.sampler === "function"
+        ? opts.sampler
+        : _getOpts().sampler;
+    sampledIn = !!sampler(value, sampleRate);
+    _samplingDecisions.set(value, sampledIn);
+    if (sampledIn) {
+      _samplingStats.sampledIn++;
+    } else {
+      _samplingStats.sampledOut++;
+    }
+  }
+  return sampledIn;
+}
+
+// The default sampler. Its decisions are random, but each object keeps its
+// decision, as with any sampler.
+function _sampleRandomly(value: Observable, sampleRate: number): boolean {
+  return Math.random() < sampleRate;
+}
+
+function _toRootOpts(opts: ?MakeSentinelOpts): RootOpts {
+  return opts == null
+    ? _defaultRootOpts
+    : {
+        label: typeof opts.label === "string" ? opts.label : undefined,
+        shouldIgnore:
+          typeof opts.shouldIgnore === "function"
+            ? opts.shouldIgnore
+            : undefined,
+        mutationHandler:
+          typeof opts.mutationHandler === "function"
+            ? opts.mutationHandler
+            : undefined,
+        enforce: _toEnforce(opts.enforce),
+        ignoreMutations: Array.isArray(opts.ignoreMutations)
+          ? makePathMatcher(opts.ignoreMutations)
+          : undefined,
+        propagate: _toPropagate(opts.propagate),
+        storeAction: undefined,
+      };
+}
+
+/**
+ * Does the work for `makeSentinel`. When the sentinel is created (or reused)
+ * for a property read on another sentinel, `parent` is the target of that
+ * sentinel and `property` is the property that was read. The new sentinel
+ * then shares the root and options of the parent. Otherwise `parent` is null
+ * and the value becomes a root with `rootOpts`.
+ */
+function _makeSentinel<T>(
+  value: T,
+  parent: ?Observable,
+  property: string,
+  rootOpts: RootOpts = _defaultRootOpts
+): T {
+  const parentMeta =
+    parent != null && _sentinelMetas != null
+      ? _sentinelMetas.get(parent)
+      : null;
+  return _makeSentinelForMeta(value, parentMeta, property, rootOpts);
+}
+
+// Like `_makeSentinel`, for callers that already have the meta of the parent.
+function _makeSentinelForMeta<T>(
+  value: T,
+  parentMeta: ?SentinelMeta,
+  property: string,
+  rootOpts: RootOpts
+): T {
+  if (
+    typeof Proxy === "undefined" ||
+    _sentinelCache == null ||
+    _knownSentinels == null ||
+    _sentinelMetas == null ||
+    value == null ||
+    (typeof value !== "object" && typeof value !== "function")
+  ) {
+    return value;
+  }
+
+  const sentinelMetas = _sentinelMetas;
+  const opts = parentMeta != null ? parentMeta.opts : rootOpts;
+  const shouldIgnore = opts.shouldIgnore || _getOpts().shouldIgnore;
+  if (shouldIgnore(value)) {
+    return value;
+  }
+
+  // Most values have been wrapped before, so their meta is checked first.
+  const cachedMeta = sentinelMetas.get(value);
+  if (cachedMeta != null && cachedMeta.sentinel != null) {
+    _updateAccess(
+      cachedMeta,
+      value,
+      parentMeta,
+      property,
+      parentMeta == null ? _keepEnforce(cachedMeta, rootOpts) : rootOpts
+    );
+    return (cachedMeta.sentinel: any);
+  }
+
+  const knownTarget = _knownSentinels.get(value);
+  if (knownTarget != null) {
+    // Sentinels passed to `makeSentinel` keep their root and options.
+    if (parentMeta != null) {
+      _recordAccess(knownTarget, parentMeta, property, rootOpts, sentinelMetas);
+    }
+    return value;
+  }
+
+  if (hasInternalSlots(value)) {
+    // The sentinel would be broken, so the value is never wrapped.
+    return value;
+  }
+
+  const handler: any = Object.create(_sentinelHandler);
+  const sentinel: any = new Proxy(value, handler);
+  _sentinelCache.set(value, sentinel);
+  _knownSentinels.set(sentinel, value);
+  _recordAccess(value, parentMeta, property, rootOpts, sentinelMetas);
+  const meta = _getMeta(value);
+  meta.sentinel = sentinel;
+  handler.meta = meta;
+  return sentinel;
+}
+
+// The options for a sentinel that is made a root again, which keep the
+// `enforce` it was given if the new one is weaker.
+function _keepEnforce(meta: ?SentinelMeta, rootOpts: RootOpts): RootOpts {
+  const prevEnforce = meta != null ? meta.opts.enforce : undefined;
+  if (prevEnforce === undefined) {
+    return rootOpts;
+  }
+  const enforce =
+    rootOpts.enforce !== undefined ? rootOpts.enforce : _getOpts().enforce;
+  return _enforceStrength(enforce) < _enforceStrength(prevEnforce)
+    ? ({...rootOpts, enforce: prevEnforce}: any)
+    : rootOpts;
+}
+
+function _enforceStrength(enforce: Enforce): number {
+  return enforce === "throw" ? 2 : enforce === "ignore" ? 1 : 0;
+}
+
+/**
+ * Remembers that the sentinel for `target` was reached by reading `property`
+ * on the sentinel with `parentMeta`, or that it is a root with `rootOpts` if
+ * `parentMeta` is null.
+ */
+function _recordAccess(
+  target: Observable,
+  parentMeta: ?SentinelMeta,
+  property: string,
+  rootOpts: RootOpts,
+  sentinelMetas: SentinelMetas
+): void {
+  const meta = sentinelMetas.get(target);
+  if (meta != null) {
+    _updateAccess(meta, target, parentMeta, property, rootOpts);
+    return;
+  }
+  const builtinMethods = _getBuiltinMethods(target);
+  const parentPath = parentMeta != null ? parentMeta.path : null;
+  sentinelMetas.set(target, {
+    root: parentMeta != null ? parentMeta.root : target,
+    path: parentPath != null ? parentPath.concat(property) : [],
+    parentPath,
+    opts: parentMeta != null ? parentMeta.opts : rootOpts,
+    sentinel: null,
+    immutable: false,
+    builtinMethods,
+    accessors: _mayHaveAccessors(target, builtinMethods),
+    ambiguousPath: parentMeta != null && parentMeta.ambiguousPath,
+  });
+}
+
+// Like `_recordAccess`, for a target that already has a meta
+function _updateAccess(
+  meta: SentinelMeta,
+  target: Observable,
+  parentMeta: ?SentinelMeta,
+  property: string,
+  rootOpts: RootOpts
+): void {
+  if (parentMeta != null && parentMeta.root === target) {
+    // The root was reached through a cycle, which would leave every later
+    // write to the root reporting the cycle as its path.
+    return;
+  }
+  const root = parentMeta != null ? parentMeta.root : target;
+  const parentPath = parentMeta != null ? parentMeta.path : null;
+  const opts = parentMeta != null ? parentMeta.opts : rootOpts;
+  if (
+    // Reading the same property again is the most common case. Paths are
+    // replaced instead of changed, so the path of the parent is the same
+    // array if the parent was reached the same way.
+    meta.parentPath !== parentPath ||
+    meta.root !== root ||
+    meta.opts !== opts ||
+    (parentPath != null && meta.path[parentPath.length] !== property)
+  ) {
+    const path = parentPath != null ? parentPath.concat(property) : [];
+    if (!meta.ambiguousPath) {
+      meta.ambiguousPath =
+        (parentMeta != null && parentMeta.ambiguousPath) ||
+        !_samePath(meta.path, path);
+    }
+    meta.root = root;
+    meta.path = path;
+    meta.parentPath = parentPath;
+    meta.opts = opts;
+  }
+}
+
+function _samePath(a: Array<string>, b: Array<string>): boolean {
+  return a.length === b.length && a.every((segment, i) => segment === b[i]);
+}
+
+// =============================================================================
+// Proxy handler
+// =============================================================================
+
+// All sentinels share the traps of this handler, so that the engine sees the
+// same traps, with the same shapes, for every sentinel. The state of each
+// sentinel is kept in its meta instead. Each sentinel has a handler of its own
+// that inherits the traps and holds the meta, so that the `get` trap can read
+// it as `this.meta` instead of looking it up.
+type SentinelHandler = {meta: SentinelMeta};
+const _sentinelHandler = {
+  get: _getTrap,
+  has: _hasTrap,
+  ownKeys: _ownKeysTrap,
+  defineProperty: _definePropertyTrap,
+  deleteProperty: _deletePropertyTrap,
+  set: _setTrap,
+  setPrototypeOf: _setPrototypeOfTrap,
+  preventExtensions: _preventExtensionsTrap,
+};
+
+const _hasOwnProperty = Object.prototype.hasOwnProperty;
+
+function _getMeta(target: Observable): SentinelMeta {
+  // The meta is always recorded before the sentinel is handed out, and
+  // before `makeImmutable` replaces the methods of an object.
+  return (_sentinelMetas: any).get(target);
+}
+
+function _getTrap(target: any, property: string, receiver: mixed): mixed {
+  if (_readTrackers.length !== 0) {
+    _trackPropertyRead(target, property);
+  }
+  const meta = (this: SentinelHandler).meta;
+  // Getters run with the sentinel as `this`, so the properties they read are
+  // wrapped and the mutations they make are reported. Passing the receiver is
+  // slow, so it is only done for objects that can have getters.
+  const targetVal = meta.accessors
+    ? _getWithReceiver(target, property, receiver)
+    : target[property];
+  if (
+    targetVal == null ||
+    (typeof targetVal !== "object" && typeof targetVal !== "function")
+  ) {
+    return targetVal;
+  }
+  const builtinMethods = meta.builtinMethods;
+  if (builtinMethods != null && typeof targetVal === "function") {
+    const builtinMethod = builtinMethods.get(targetVal);
+    if (builtinMethod != null) {
+      return builtinMethod;
+    }
+    const derivedMethod = _getDerivedArrayMethod(meta, targetVal);
+    if (derivedMethod != null) {
+      return derivedMethod;
+    }
+  }
+  // Only own properties are wrapped, and properties that can't change can't
+  // return a sentinel either. Their descriptors are looked up on every read,
+  // since they can be locked through the original object at any time.
+  if (!_canMakeNestedSentinel(target, property)) {
+    return targetVal;
+  }
+  return _makeSentinelForMeta(targetVal, meta, property, _defaultRootOpts);
+}
+
+function _hasTrap(target: Observable, property: string): boolean {
+  if (_readTrackers.length !== 0) {
+    _trackPropertyRead(target, property);
+  }
+  return property in target;
+}
+
+function _ownKeysTrap(target: Observable): Array<string> {
+  if (_readTrackers.length !== 0) {
+    _recordRead(target, "[[OwnKeys]]");
+  }
+  return Reflect.ownKeys(target);
+}
+
+function _definePropertyTrap(
+  target: Observable,
+  property: string,
+  // Flow core.js uses the weak Object type for descriptors.
+  // eslint-disable-next-line flowtype/no-weak-types
+  descriptor: Object
+): boolean {
+  if (_continueIntegrityCall(target, descriptor)) {
+    // Part of a freeze or seal that was already reported
+    Object.defineProperty(target, property, descriptor);
+    return true;
+  }
+  const curDescriptor = Object.getOwnPropertyDescriptor(target, property);
+  // We consider any property that has a getter as mutating because that
+  // getter can return any value.
+  if (
+    curDescriptor == null ||
+    curDescriptor.value !== descriptor.value ||
+    descriptor.get
+  ) {
+    const enforce = _reportMutation(target, property, {
       type: "defineProperty",
-      target: Observable,
-      property: string,
-      descriptor: Object,
-    |}
-  | {|
+      property,
+      descriptor,
+    });
+    if (enforce) {
+      // Returning true is only allowed if the property could have been
+      // defined as described.
+      return (
+        enforce === "ignore" &&
+        descriptor.configurable !== false &&
+        (curDescriptor == null
+          ? Object.isExtensible(target)
+          : !!curDescriptor.configurable)
+      );
+    }
+  }
+  const meta = _getMeta(target);
+  if (
+    descriptor.get != null &&
+    (meta.builtinMethods == null || Array.isArray(target))
+  ) {
+    // Maps, Sets and Dates are left out, like in `_mayHaveAccessors`.
+    meta.accessors = true;
+  }
+  Object.defineProperty(target, property, descriptor);
+  return true;
+}
+
+function _deletePropertyTrap(target: any, property: string): boolean {
+  const curDescriptor = Object.getOwnPropertyDescriptor(target, property);
+  if (curDescriptor != null) {
+    const enforce = _reportMutation(target, property, {
       type: "deleteProperty",
-      target: Observable,
-      property: string,
-    |}
-  | {|
+      property,
+    });
+    if (enforce) {
+      // Returning true is only allowed if the property could have been
+      // deleted.
+      return (
+        enforce === "ignore" &&
+        !!curDescriptor.configurable &&
+        Object.isExtensible(target)
+      );
+    }
+  }
+  return delete target[property];
+}
+
+function _setTrap(
+  target: any,
+  property: string,
+  value: mixed,
+  receiver: mixed
+): boolean {
+  const accessor = _getAccessor(target, property);
+  if (
+    accessor != null &&
+    (accessor.set == null || !_needsOriginalThis(accessor.set))
+  ) {
+    // The setter runs with the sentinel as `this`, so the mutations it makes
+    // are reported instead of the assignment. Without a setter, the
+    // assignment fails. Setters that need the original object run on it
+    // below, and the assignment is reported instead.
+    return Reflect.set(target, property, value, receiver);
+  }
+  if (_sentinelCache != null && receiver !== _sentinelCache.get(target)) {
+    // The sentinel is the prototype of the receiver, which gets the property
+    // instead of the target.
+    return Reflect.set(target, property, value, receiver);
+  }
+  if (!_valueEq(target[property], value)) {
+    const enforce = _reportMutation(target, property, {
       type: "set",
-      target: Observable,
-      property: string,
-      value: any,
-    |}
-  | {|
+      property,
+      value,
+    });
+    if (enforce) {
+      // Returning true is not allowed for a non-configurable property
+      // that can't be assigned to.
+      const curDescriptor = Object.getOwnPropertyDescriptor(target, property);
+      return (
+        enforce === "ignore" &&
+        (curDescriptor == null ||
+          !!curDescriptor.configurable ||
+          !!curDescriptor.writable ||
+          curDescriptor.set != null)
+      );
+    }
+  }
+  target[property] = value;
+  return true;
+}
+
+/**
+ * Reads the property with the sentinel as `this` for its getter.
+ *
+ * Getters that check what `this` is would throw a TypeError on the sentinel,
+ * so they are run on the original object instead, where the mutations they
+ * make are not reported.
+ */
+function _getWithReceiver(
+  target: any,
+  property: string,
+  receiver: mixed
+): mixed {
+  const accessor = _getAccessor(target, property);
+  return accessor != null &&
+    accessor.get != null &&
+    !_needsOriginalThis(accessor.get)
+    ? Reflect.apply(accessor.get, receiver, [])
+    : target[property];
+}
+
+type AccessorFunction = (...args: Array<any>) => mixed;
+
+// The getter and setter of the property, on the object or the closest
+// prototype that has it, or null if it is not an accessor property
+function _getAccessor(
+  object: Observable,
+  property: string
+): {|get: ?AccessorFunction, set: ?AccessorFunction|} | null {
+  for (
+    let current = object;
+    current != null;
+    current = Object.getPrototypeOf(current)
+  ) {
+    const descriptor: any = Object.getOwnPropertyDescriptor(current, property);
+    if (descriptor != null) {
+      return descriptor.get != null || descriptor.set != null
+        ? {get: descriptor.get, set: descriptor.set}
+        : null;
+    }
+  }
+  return null;
+}
+
+// Whether each accessor function that was checked needs the original object
+const _needsOriginalThisCache: WeakMap<
+  AccessorFunction,
+  boolean
+> | void = isWeakMapAvailable ? new WeakMap() : undefined;
+
+/**
+ * Returns true if the accessor checks what `this` is, and so has to run on the
+ * original object: native accessors need its internal slots, and the ones that
+ * use private class fields, like `this.#count`, need an instance of their
+ * class. Private fields are found in the source of the accessor, so accessors
+ * that only use them through a method are not recognized.
+ */
+function _needsOriginalThis(accessor: AccessorFunction): boolean {
+  const cached =
+    _needsOriginalThisCache != null
+      ? _needsOriginalThisCache.get(accessor)
+      : undefined;
+  if (cached !== undefined) {
+    return cached;
+  }
+  const source = Function.prototype.toString.call(accessor);
+  const result =
+    /\[native code\]\s*\}\s*$/.test(source) ||
+    /\.#[A-Za-z_$]|#[A-Za-z_$][\w$]*\s+in\s/.test(source);
+  if (_needsOriginalThisCache != null) {
+    _needsOriginalThisCache.set(accessor, result);
+  }
+  return result;
+}
+
+function _setPrototypeOfTrap(target: Observable, prototype: ?{}): boolean {
+  if (Object.getPrototypeOf(target) !== prototype) {
+    const enforce = _reportMutation(target, "[[Prototype]]", {
       type: "setPrototypeOf",
-      target: Observable,
       property: "[[Prototype]]",
-      prototype: ?Object,
-    |};
-/* eslint-enable flowtype/no-weak-types */
+      prototype,
+    });
+    if (enforce) {
+      // Returning true is not allowed if the prototype can't be changed.
+      return enforce === "ignore" && Object.isExtensible(target);
+    }
+  }
+  Object.setPrototypeOf(target, prototype);
+  const meta = _getMeta(target);
+  meta.accessors = _mayHaveAccessors(target, meta.builtinMethods);
+  return true;
+}
 
-type Observable = {} | (() => mixed);
+function _preventExtensionsTrap(target: Observable): boolean {
+  // Object.freeze and Object.seal call this trap, and then redefine every
+  // property of the object. When the stack shows which of them is running,
+  // they are reported as a single mutation.
+  const stack = new Error().stack;
+  const caller =
+    typeof stack === "string" ? _getNativeCaller(stack) : undefined;
+  const type =
+    caller === "freeze" || caller === "seal" ? caller : "preventExtensions";
+  if (!_isAtIntegrityLevel(target, type)) {
+    const details: IntegrityMutation = {type};
+    const enforce = _reportMutation(target, null, details);
+    if (enforce) {
+      // Returning true is only allowed if the target is not extensible.
+      // Even when it already is, freeze and seal would go on to redefine
+      // its properties, so the call is refused in either case.
+      return false;
+    }
+  }
+  if (type !== "preventExtensions") {
+    const remaining = Reflect.ownKeys(target).length;
+    _integrityCall = remaining > 0 ? {target, remaining} : null;
+  }
+  Object.preventExtensions(target);
+  return true;
+}
 
-// Visible for testing
-export const _globalOpts: FullSentinelOpts = {
-  shouldIgnore: falseFn,
-  mutationHandler: _defaultMutationHandler,
-};
+// The display name of the React component that is running, set by
+// `mutation-sentinel/react`
+let _currentComponent: string | null = null;
 
-export function configureSentinels(opts: SentinelOpts) {
-  _globalOpts.shouldIgnore =
-    typeof opts.shouldIgnore === "function" ? opts.shouldIgnore : falseFn;
-  _globalOpts.mutationHandler =
-    typeof opts.mutationHandler === "function"
-      ? opts.mutationHandler
-      : _defaultMutationHandler;
+/**
+ * Runs fn, attributing the mutations it makes to the component. Used by
+ * `mutation-sentinel/react`.
+ */
+export function _runInComponent<T>(component: string, fn: () => T): T {
+  const prevComponent = _currentComponent;
+  _currentComponent = component;
+  try {
+    return fn();
+  } finally {
+    _currentComponent = prevComponent;
+  }
 }
 
-function falseFn() {
-  return false;
+// The observers added by `_observeMutations`
+const _mutationObservers: Array<MutationHandler> = [];
+
+/**
+ * Calls `observer` with every mutation that is reported, whichever mutation
+ * handler it is passed to, including the ones that `dedupe` holds back.
+ * Returns a function that removes the observer. Used by
+ * `failOnUnexpectedMutations`.
+ */
+export function _observeMutations(observer: MutationHandler): () => void {
+  _mutationObservers.push(observer);
+  return () => {
+    const index = _mutationObservers.indexOf(observer);
+    if (index !== -1) {
+      _mutationObservers.splice(index, 1);
+    }
+  };
 }
 
-// =============================================================================
-// makeSentinel
-// =============================================================================
+/**
+ * Reports a mutation of `target` to the mutation handler of its sentinel.
+ * `segment` is appended to the path of the target, unless the mutation is of
+ * the target as a whole.
+ *
+ * Mutations that match the `ignoreMutations` option are not reported at all.
+ * Returns the `enforce` option of the sentinel, so that the caller can refuse
+ * the mutation if it is set. While the sentinels are paused, the mutation is
+ * only passed to the audit handlers, and is never refused. The mutations of
+ * the arguments of a guarded call with an `onMutation` are passed to it
+ * instead of the mutation handler.
+ */
+function _reportMutation(
+  target: Observable,
+  segment: string | null,
+  details: MutationDetails
+): Enforce {
+  const meta = _getMeta(target);
+  const path = segment != null ? meta.path.concat(segment) : meta.path;
+  if (!meta.immutable && _isIgnoredPath(meta, path)) {
+    return false;
+  }
+  const paused = _pauses.length > 0 && !meta.immutable;
+  if (paused && !_hasAudit()) {
+    return false;
+  }
+  const enforce = paused ? false : _getEnforce(meta);
+  const stack = new Error().stack;
+  const callSite = typeof stack === "string" ? _getCallSite(stack) : undefined;
+  const mutation: Mutation = ({
+    ...details,
+    target,
+    root: meta.root,
+    path,
+    label: meta.opts.label,
+    blocked: !!enforce,
+    stack: typeof stack === "string" ? stack : undefined,
+    callSite,
+    occurrences: 1,
+    component: _currentComponent,
+    action: meta.opts.storeAction != null ? meta.opts.storeAction.action : null,
+    tags: _getSentinelTags(),
+    guard: _guardCalls.length !== 0 ? _getMutationGuard(meta) : null,
+    ambiguousPath: meta.ambiguousPath,
+  }: any);
+  const arrayMethodCall = _getArrayMethodCall(target);
+  if (arrayMethodCall != null) {
+    arrayMethodCall.children.push(mutation);
+    return enforce;
+  }
+  if (paused) {
+    _audit(mutation);
+    return enforce;
+  }
+  if (_guardCalls.length !== 0 && _takeGuardedMutation(meta, mutation)) {
+    return enforce;
+  }
+  _mutationObservers.forEach(observer => observer(mutation));
+  const globalOpts = _getOpts();
+  const mutationHandler =
+    meta.opts.mutationHandler || globalOpts.mutationHandler;
+  const dedupe = globalOpts.dedupe;
+  if (!dedupe || callSite == null) {
+    mutationHandler(mutation);
+    return enforce;
+  }
 
-// Map a non-sentinel value to its sentinel counterpart.
-// By using this cache we can guarantee the invariant that for a single object
-// reference, there will ever only be one corresponding sentinel.
-//
-// There is no way to type the WeakMap to enforce that a key/value pair has the
-// same type for the key and value, but allow different types of key/value
-// pairs in the map. Therefore we type the value as `any` and make sure that in
-// our code we enforce that we only cache <T, T> key/value pairs (or more
-// specifically, <T, Proxy<T>> pairs).
-type SentinelCache = WeakMap<Observable, any>;
-const _sentinelCache: SentinelCache | void = isWeakMapAvailable
-  ? new WeakMap()
-  : undefined;
+  const now = Date.now();
+  let site: ReportSite | void = _reportSites[callSite];
+  if (site == null || now - site.windowStart >= dedupe.windowMs) {
+    // Start a new window, carrying over the mutations that were held back in
+    // the previous one.
+    mutation.occurrences += site != null ? site.heldBack : 0;
+    const newSite: ReportSite = {
+      windowStart: now,
+      reports: 0,
+      heldBack: 0,
+      lastHeldBack: null,
+      lastHandler: null,
+    };
+    _reportSites[callSite] = newSite;
+    site = newSite;
+  }
+  if (site.reports < dedupe.maxReportsPerSite) {
+    site.reports++;
+    mutationHandler(mutation);
+  } else {
+    site.heldBack++;
+    site.lastHeldBack = mutation;
+    site.lastHandler = mutationHandler;
+  }
+  return enforce;
+}
 
-// This really just needs to be a set, but not all browsers that support Proxy
-// support WeakSet, but they all support WeakMap.
-type KnownSentinels = WeakMap<Observable, boolean>;
-const _knownSentinels: KnownSentinels | void = isWeakMapAvailable
-  ? new WeakMap()
-  : undefined;
+function _isIgnoredPath(meta: SentinelMeta, path: Array<string>): boolean {
+  const ignoreMutations =
+    meta.opts.ignoreMutations !== undefined
+      ? meta.opts.ignoreMutations
+      : _getGlobalIgnoreMutations();
+  return ignoreMutations != null && ignoreMutations(path);
+}
+
+function _getEnforce(meta: SentinelMeta): Enforce {
+  if (meta.immutable) {
+    return "throw";
+  }
+  return meta.opts.enforce !== undefined
+    ? meta.opts.enforce
+    : _getOpts().enforce;
+}
+
+// The deduplication state of each call site, for the `dedupe` option
+type ReportSite = {
+  windowStart: number,
+  reports: number,
+  heldBack: number,
+  lastHeldBack: Mutation | null,
+  lastHandler: MutationHandler | null,
+};
+let _reportSites: {[callSite: string]: ReportSite} = Object.create(null);
 
 /**
- * Returns a Proxy for the value if it is possible to watch for mutations on
- * the value. Otherwise, return the value itself.
- *
- * Since our sentinel Proxy does not change the object in any way, including
- * the flow types, we can force the return type to always be T.
+ * Reports the mutations that the `dedupe` option is holding back, and starts
+ * deduplicating from scratch. For each call site with held back mutations,
+ * the last of them is passed to its mutation handler, with the number of
+ * held back mutations as its `occurrences`.
  */
-export default function makeSentinel<T>(value: T): T {
-  if (
-    typeof Proxy === "undefined" ||
-    _sentinelCache == null ||
-    _knownSentinels == null ||
-    value == null ||
-    (typeof value !== "object" && typeof value !== "function") ||
-    _globalOpts.shouldIgnore(value)
-  ) {
-    return value;
-  }
+export function flushMutationReports(): void {
+  const sites = _reportSites;
+  _reportSites = Object.create(null);
+  Object.keys(sites).forEach(callSite => {
+    const site = sites[callSite];
+    const {lastHeldBack, lastHandler} = site;
+    if (lastHeldBack != null && lastHandler != null) {
+      // The held back mutation was never passed to a handler, so it can be
+      // updated in place.
+      lastHeldBack.occurrences = site.heldBack;
+      lastHandler(lastHeldBack);
+    }
+  });
+}
 
-  const knownSentinels = _knownSentinels;
-  const sentinelCache = _sentinelCache;
+// The file this module was loaded from, used to skip its own frames in stacks
+let _ownFile: string | void | null = null;
 
-  if (knownSentinels.has(value)) {
-    return value;
+/**
+ * Returns the first frame of `stack` that has a location outside of this
+ * module, which is the code that made the mutation. Frames without a
+ * location, like the ones of native methods that call our Proxy traps, are
+ * skipped too.
+ */
+function _getCallSite(stack: string): string | void {
+  return _getFirstFrame(stack, _getOwnFile());
+}
+
+function _getOwnFile(): string | void {
+  if (_ownFile === null) {
+    // The first frame with a location is this function itself.
+    const ownStack = new Error().stack;
+    const ownFrame =
+      typeof ownStack === "string" ? _getFirstFrame(ownStack, null) : undefined;
+    _ownFile = ownFrame != null ? _getFrameFile(ownFrame) : undefined;
   }
+  return _ownFile;
+}
 
-  const cachedSentinel = sentinelCache.get(value);
-  if (cachedSentinel != null) {
-    return cachedSentinel;
+/**
+ * Returns the name of the native function that called into this module, like
+ * "freeze" for `Object.freeze(sentinel)`. Only V8 and JavaScriptCore include
+ * native functions in their stacks, so this returns undefined elsewhere.
+ */
+function _getNativeCaller(stack: string): string | void {
+  const ownFile = _getOwnFile();
+  const frames = stack.split("\n");
+  for (let i = 0; i < frames.length; i++) {
+    const frame = frames[i].trim();
+    const file = _getFrameFile(frame);
+    if (file != null && file !== ownFile) {
+      // Called directly from code with a location
+      return undefined;
+    }
+    // "at Function.freeze (<anonymous>)" in V8, "freeze@[native code]" in
+    // JavaScriptCore
+    const match = /^(?:at (?:[\w$]+\.)?([\w$]+) \(<anonymous>\)|([\w$]+)@\[native code\])$/.exec(
+      frame
+    );
+    if (match != null) {
+      return match[1] || match[2];
+    }
   }
+  return undefined;
+}
 
-  const sentinel = new Proxy(value, {
-    get: (target, property, receiver) => {
-      const targetVal = target[property];
-      if (_canMakeNestedSentinel(target, property, targetVal, knownSentinels)) {
-        return makeSentinel(targetVal);
-      } else {
-        return targetVal;
-      }
-    },
-    defineProperty: (target, property, descriptor) => {
-      const curDescriptor = Object.getOwnPropertyDescriptor(target, property);
-      // We consider any property that has a getter as mutating because that
-      // getter can return any value.
-      if (
-        curDescriptor == null ||
-        curDescriptor.value !== descriptor.value ||
-        descriptor.get
-      ) {
-        _globalOpts.mutationHandler({
-          type: "defineProperty",
-          target,
-          property,
-          descriptor,
-        });
-      }
-      Object.defineProperty(target, property, descriptor);
-      return true;
-    },
-    deleteProperty: (target, property) => {
-      if (Object.prototype.hasOwnProperty.call(target, property)) {
-        _globalOpts.mutationHandler({
-          type: "deleteProperty",
-          target,
-          property,
-        });
-      }
-      return delete target[property];
-    },
-    set: (target, property, value, receiver) => {
-      if (!_valueEq(target[property], value, sentinelCache)) {
-        _globalOpts.mutationHandler({
-          type: "set",
-          target,
-          property,
-          value,
-        });
-      }
-      target[property] = value;
-      return true;
-    },
-    setPrototypeOf: (target, prototype) => {
-      if (Object.getPrototypeOf(target) !== prototype) {
-        _globalOpts.mutationHandler({
-          type: "setPrototypeOf",
-          target,
-          property: "[[Prototype]]",
-          prototype,
-        });
-      }
-      Object.setPrototypeOf(target, prototype);
-      return true;
-    },
-  });
+/**
+ * Returns the first frame of `stack` that has a location outside of
+ * `skipFile`, without the "at " prefix.
+ */
+function _getFirstFrame(stack: string, skipFile: ?string): string | void {
+  const frames = stack.split("\n");
+  for (let i = 0; i < frames.length; i++) {
+    const file = _getFrameFile(frames[i]);
+    if (file != null && file !== skipFile) {
+      return frames[i].trim().replace(/^at /, "");
+    }
+  }
+  return undefined;
+}
 
-  sentinelCache.set(value, sentinel);
-  knownSentinels.set(sentinel, true);
-  return sentinel;
+// Frames look like "    at fn (file:1:2)" in V8 and "fn@file:1:2" elsewhere.
+function _getFrameFile(frame: string): string | void {
+  const match = /([^\s(@]+):\d+:\d+\)?$/.exec(frame);
+  return match != null ? match[1] : undefined;
+}
+
+// The freeze or seal that is running on a sentinel, and the number of
+// properties it has yet to redefine
+let _integrityCall: {|target: Observable, remaining: number|} | null = null;
+
+function _isAtIntegrityLevel(
+  target: Observable,
+  type: IntegrityLevel
+): boolean {
+  return type === "freeze"
+    ? Object.isFrozen(target)
+    : type === "seal" ? Object.isSealed(target) : !Object.isExtensible(target);
+}
+
+/**
+ * Returns true if defining a property as described is part of the freeze or
+ * seal that is running on the sentinel for `target`.
+ */
+function _continueIntegrityCall(
+  target: Observable,
+  // eslint-disable-next-line flowtype/no-weak-types
+  descriptor: Object
+): boolean {
+  const call = _integrityCall;
+  if (call == null || call.target !== target) {
+    return false;
+  }
+  // Freeze and seal only make properties non-configurable and non-writable.
+  if (
+    descriptor.configurable !== false ||
+    descriptor.writable === true ||
+    "value" in descriptor ||
+    "get" in descriptor ||
+    "set" in descriptor ||
+    "enumerable" in descriptor
+  ) {
+    _integrityCall = null;
+    return false;
+  }
+  call.remaining--;
+  if (call.remaining === 0) {
+    _integrityCall = null;
+  }
+  return true;
 }
 
 /**
@@ -203,34 +1910,48 @@ export default function makeSentinel<T>(value: T): T {
  *
  * The invariant is enforced only on target's own properties, which means that
  * we don't need to check if a non-writable and non-configurable property with
- * the same name exists up the prototype chain.
+ * the same name exists up the prototype chain. Inherited properties, like
+ * methods, are never wrapped.
  */
-function _canMakeNestedSentinel<T>(
-  target: T,
-  property: string,
-  targetVal: mixed,
-  knownSentinels: KnownSentinels
+function _canMakeNestedSentinel<T>(target: T, property: string): boolean {
+  const descriptor = Object.getOwnPropertyDescriptor(target, property);
+  return descriptor && (descriptor.writable || descriptor.configurable);
+}
+
+/**
+ * Returns true if the object can have getters, on itself or on a prototype
+ * other than `Object.prototype` and `Array.prototype`, like the getters of
+ * classes. Getters added through the original object after the sentinel is
+ * created are run with the original object as `this`.
+ *
+ * Maps, Sets and Dates are left out, since their getters, like `size`, only
+ * work on the original object.
+ */
+function _mayHaveAccessors(
+  value: Observable,
+  builtinMethods: ?BuiltinMethods
 ): boolean {
-  if (
-    targetVal == null ||
-    (typeof targetVal !== "object" && typeof targetVal !== "function") ||
-    knownSentinels.has(targetVal)
-  ) {
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype === Array.prototype) {
     return false;
   }
-  const descriptor = Object.getOwnPropertyDescriptor(target, property);
-  return descriptor && (descriptor.writable || descriptor.configurable);
+  if (builtinMethods != null) {
+    return Array.isArray(value);
+  }
+  if (prototype !== Object.prototype && prototype !== null) {
+    return true;
+  }
+  return Reflect.ownKeys(value).some(key => {
+    const descriptor: any = Object.getOwnPropertyDescriptor(value, key);
+    return descriptor.get != null;
+  });
 }
 
 /**
  * Returns true if curValue is equal to newValue or if newValue is the sentinel
  * version of curValue.
  */
-function _valueEq(
-  curValue: mixed,
-  newValue: mixed,
-  sentinelCache: SentinelCache
-): boolean {
+function _valueEq(curValue: mixed, newValue: mixed): boolean {
   if (curValue === newValue) {
     return true;
   }
@@ -240,7 +1961,9 @@ function _valueEq(
   }
   // It is legal to call WeakMap.get with any type, but flow doesn't like
   // it. Just cast to 'any' so we can avoid unnecessary typeof checking.
-  return sentinelCache.get((curValue: any)) === newValue;
+  return (
+    _sentinelCache != null && _sentinelCache.get((curValue: any)) === newValue
+  );
 }
 
 function _defaultMutationHandler(mutation: Mutation): void {
@@ -248,6 +1971,177 @@ function _defaultMutationHandler(mutation: Mutation): void {
   console.warn("Mutation detected by a sentinel!", mutation);
 }
 
+/**
+ * Returns the object wrapped by `value` if it is a sentinel. Otherwise, returns
+ * the value itself.
+ */
+export function getOriginal<T>(value: T): T {
+  if (
+    value == null ||
+    (typeof value !== "object" && typeof value !== "function") ||
+    _knownSentinels == null
+  ) {
+    return value;
+  }
+  const original = _knownSentinels.get(value);
+  return original != null ? (original: any) : value;
+}
+
+// =============================================================================
+// makeImmutable
+// =============================================================================
+
+/**
+ * Deep-freezes the value and everything reachable from it, and returns it.
+ * Objects for which `shouldIgnore` returns true are left alone, and so is
+ * everything that is only reachable through them. Sentinels are replaced by
+ * the objects they wrap while freezing.
+ *
+ * Frozen objects refuse changes without telling anyone, but Map, Set, WeakMap,
+ * WeakSet and Date objects can't be frozen. Their mutating methods are
+ * replaced on the object instead, by methods that report the mutation to the
+ * mutation handler and throw a TypeError. These are own properties of the
+ * object, and calling the methods of the prototype on it still mutates it.
+ * Only `label`, `shouldIgnore` and `mutationHandler` of the options are used.
+ */
+export function makeImmutable<T>(value: T, opts?: MakeSentinelOpts): T {
+  return _makeImmutable(value, _toRootOpts(opts));
+}
+
+function _makeImmutable<T>(value: T, rootOpts: RootOpts): T {
+  const shouldIgnore = rootOpts.shouldIgnore || _getOpts().shouldIgnore;
+  const root: any = getOriginal(value);
+  // The path each object was first reached through, and the objects that were
+  // reached through more than one path. Those are visited again, so that the
+  // objects inside of them are marked as well.
+  const visited: Map<any, Array<string>> = new Map();
+  const ambiguous = new Set();
+  const queue: Array<[any, Array<string>, boolean]> = [[root, [], false]];
+  for (let i = 0; i < queue.length; i++) {
+    const [object, path, inAmbiguous] = queue[i];
+    if (
+      object == null ||
+      (typeof object !== "object" && typeof object !== "function") ||
+      ambiguous.has(object) ||
+      hasInternalSlots(object) ||
+      shouldIgnore(object)
+    ) {
+      continue;
+    }
+    const firstPath = visited.get(object);
+    if (
+      firstPath != null &&
+      // Like for sentinels, reaching the root through a cycle is left out.
+      (object === root || (!inAmbiguous && _samePath(firstPath, path)))
+    ) {
+      continue;
+    }
+    const isAmbiguous = inAmbiguous || firstPath != null;
+    if (isAmbiguous) {
+      ambiguous.add(object);
+    }
+    if (firstPath == null) {
+      visited.set(object, path);
+    }
+
+    const visit = (child, segment) => {
+      queue.push([getOriginal(child), path.concat(segment), isAmbiguous]);
+    };
+    Object.getOwnPropertyNames(object).forEach(key => {
+      const descriptor = Object.getOwnPropertyDescriptor(object, key);
+      if (descriptor != null && "value" in descriptor) {
+        visit(descriptor.value, key);
+      }
+    });
+    if (object instanceof Map) {
+      object.forEach((value, key) => {
+        visit(key, "[key]");
+        visit(value, keySegment(key));
+      });
+    } else if (object instanceof Set) {
+      object.forEach(value => visit(value, "[key]"));
+    }
+
+    if (_sentinelMetas != null) {
+      const meta = _sentinelMetas.get(object);
+      if (meta == null) {
+        _sentinelMetas.set(object, {
+          root,
+          path,
+          parentPath: null,
+          opts: rootOpts,
+          sentinel: null,
+          immutable: true,
+          builtinMethods: null,
+          accessors: false,
+          ambiguousPath: isAmbiguous,
+        });
+      } else {
+        meta.immutable = true;
+        meta.ambiguousPath = meta.ambiguousPath || isAmbiguous;
+      }
+      if (Object.isExtensible(object)) {
+        _replaceMutatingMethods(object);
+      }
+    }
+    Object.freeze(object);
+  }
+  return value;
+}
+
+/**
+ * Defines the mutating methods of a Map, Set, WeakMap, WeakSet or Date object
+ * on the object itself, so that they report their mutations like the methods
+ * of a sentinel would. Since the object is marked as immutable, the mutations
+ * are refused.
+ */
+function _replaceMutatingMethods(target: any): void {
+  let proto: any;
+  let names;
+  let impls;
+  if (target instanceof Map || target instanceof WeakMap) {
+    proto = target instanceof Map ? Map.prototype : WeakMap.prototype;
+    names = ["set", "delete", "clear"];
+    impls = _mapMethodImpls;
+  } else if (
+    target instanceof Set ||
+    (typeof WeakSet !== "undefined" && target instanceof WeakSet)
+  ) {
+    proto = target instanceof Set ? Set.prototype : WeakSet.prototype;
+    names = ["add", "delete", "clear"];
+    impls = _setMethodImpls;
+  } else if (target instanceof Date) {
+    proto = Date.prototype;
+    names = Object.getOwnPropertyNames(proto).filter(name =>
+      name.startsWith("set")
+    );
+    impls = {};
+    names.forEach(name => (impls[name] = _dateSetterImpl));
+  } else {
+    return;
+  }
+  names.forEach(name => {
+    const native = proto[name];
+    const impl = impls[name];
+    if (typeof native !== "function") {
+      // WeakMap and WeakSet have no clear method.
+      return;
+    }
+    Object.defineProperty(target, name, {
+      configurable: true,
+      enumerable: false,
+      writable: true,
+      value: function() {
+        if (getOriginal(this) !== target) {
+          return native.apply(this, arguments);
+        }
+        const args = Array.prototype.slice.call(arguments);
+        return impl(target, this, args, native, name);
+      },
+    });
+  });
+}
+
 export function isSentinel(value: mixed): boolean {
   return (
     value != null &&
@@ -256,3 +2150,448 @@ export function isSentinel(value: mixed): boolean {
     _knownSentinels.has(value)
   );
 }
+
+// =============================================================================
+// Built-in objects
+// =============================================================================
+
+// Map, Set, WeakMap, WeakSet and Date keep their data in internal slots instead
+// of properties, so their methods throw when they are called on a sentinel,
+// and the `set`/`defineProperty` traps never see the mutations they make.
+// Instead, the `get` trap returns these wrappers in place of the native
+// methods. Each wrapper calls the native method on the original object,
+// reports the mutations it is about to make, and wraps the values it returns.
+//
+// The table maps each native method to its wrapper.
+type BuiltinMethods = Map<Function, Function>;
+
+// Implements a native method for a sentinel. `target` is the object that is
+// wrapped by `sentinel`, and `args` are the arguments the method was called
+// with.
+type BuiltinMethodImpl = (
+  target: any,
+  sentinel: any,
+  args: Array<any>,
+  native: Function,
+  name: string
+) => mixed;
+
+const _mapMethodImpls: {[name: string]: BuiltinMethodImpl} = {
+  get: (target, sentinel, args) => {
+    const key = _resolveKey(target, args[0]);
+    if (_readTrackers.length !== 0) {
+      _recordRead(target, keySegment(key));
+    }
+    return _makeSentinel(target.get(key), target, keySegment(key));
+  },
+  has: (target, sentinel, args) => {
+    const key = _resolveKey(target, args[0]);
+    if (_readTrackers.length !== 0) {
+      _recordRead(target, keySegment(key));
+    }
+    return target.has(key);
+  },
+  set: (target, sentinel, args, native, name) => {
+    const key = _resolveKey(target, args[0]);
+    const value = args[1];
+    if (!target.has(key) || !_valueEq(target.get(key), value)) {
+      const enforce = _reportMutation(target, keySegment(key), {
+        type: "mapSet",
+        key,
+        value,
+      });
+      if (enforce) {
+        return _refuseMethodCall(enforce, name, sentinel);
+      }
+    }
+    native.call(target, key, value);
+    return sentinel;
+  },
+  delete: (target, sentinel, args, native, name) => {
+    const key = _resolveKey(target, args[0]);
+    if (target.has(key)) {
+      const enforce = _reportMutation(target, keySegment(key), {
+        type: "collectionDelete",
+        key,
+      });
+      if (enforce) {
+        return _refuseMethodCall(enforce, name, false);
+      }
+    }
+    return native.call(target, key);
+  },
+  clear: _clearImpl,
+  forEach: (target, sentinel, args) => {
+    const [callback, thisArg] = args;
+    target.forEach((value, key) => {
+      callback.call(
+        thisArg,
+        _makeSentinel(value, target, keySegment(key)),
+        _makeSentinel(key, target, "[key]"),
+        sentinel
+      );
+    });
+  },
+  keys: target =>
+    _mapIterator(target.keys(), key => _makeSentinel(key, target, "[key]")),
+  values: target =>
+    _mapIterator(target.entries(), ([key, value]) =>
+      _makeSentinel(value, target, keySegment(key))
+    ),
+  entries: target =>
+    _mapIterator(target.entries(), ([key, value]) => [
+      _makeSentinel(key, target, "[key]"),
+      _makeSentinel(value, target, keySegment(key)),
+    ]),
+};
+
+const _setMethodImpls: {[name: string]: BuiltinMethodImpl} = {
+  has: (target, sentinel, args) => target.has(_resolveKey(target, args[0])),
+  add: (target, sentinel, args, native, name) => {
+    const value = args[0];
+    if (!target.has(_resolveKey(target, value))) {
+      const enforce = _reportMutation(target, null, {
+        type: "setAdd",
+        value,
+      });
+      if (enforce) {
+        return _refuseMethodCall(enforce, name, sentinel);
+      }
+      native.call(target, value);
+    }
+    return sentinel;
+  },
+  delete: (target, sentinel, args, native, name) => {
+    const key = _resolveKey(target, args[0]);
+    if (target.has(key)) {
+      const enforce = _reportMutation(target, null, {
+        type: "collectionDelete",
+        key,
+      });
+      if (enforce) {
+        return _refuseMethodCall(enforce, name, false);
+      }
+    }
+    return native.call(target, key);
+  },
+  clear: _clearImpl,
+  forEach: (target, sentinel, args) => {
+    const [callback, thisArg] = args;
+    target.forEach(value => {
+      const valueSentinel = _makeSentinel(value, target, "[key]");
+      callback.call(thisArg, valueSentinel, valueSentinel, sentinel);
+    });
+  },
+  values: _setValuesImpl,
+  // Set.prototype.keys is the same function as Set.prototype.values
+  keys: _setValuesImpl,
+  entries: target =>
+    _mapIterator(target.values(), value => {
+      const valueSentinel = _makeSentinel(value, target, "[key]");
+      return [valueSentinel, valueSentinel];
+    }),
+};
+
+const _dateSetterImpl: BuiltinMethodImpl = (
+  target,
+  sentinel,
+  args,
+  native,
+  name
+) => {
+  // Apply the setter to a copy first so that we only report actual changes.
+  const time = target.getTime();
+  const copy = new Date(time);
+  native.apply(copy, args);
+  const newTime = copy.getTime();
+  // eslint-disable-next-line no-self-compare
+  if (time !== newTime && (time === time || newTime === newTime)) {
+    const enforce = _reportMutation(target, null, {
+      type: "dateSet",
+      method: name,
+      args,
+      value: newTime,
+    });
+    if (enforce) {
+      return _refuseMethodCall(enforce, name, time);
+    }
+  }
+  return native.apply(target, args);
+};
+
+function _setValuesImpl(target: any): Iterator<mixed> {
+  return _mapIterator(target.values(), value =>
+    _makeSentinel(value, target, "[key]")
+  );
+}
+
+function _clearImpl(
+  target: any,
+  sentinel: any,
+  args: Array<any>,
+  native: Function,
+  name: string
+): void {
+  if (target.size > 0) {
+    const enforce = _reportMutation(target, null, {
+      type: "collectionClear",
+    });
+    if (enforce) {
+      return _refuseMethodCall(enforce, name, undefined);
+    }
+  }
+  native.call(target);
+}
+
+// Arrays keep their elements in properties, so unlike the methods above, their
+// mutating methods work on a sentinel and are caught by its traps. They are
+// still wrapped, so that each call is reported as a single `arrayMethod`
+// mutation instead of a burst of `set` and `deleteProperty` mutations. Of the
+// other Array methods, only the ones that `propagate` applies to are wrapped,
+// and only for the sentinels it applies to.
+const _arrayMethodNames = [
+  "copyWithin",
+  "fill",
+  "pop",
+  "push",
+  "reverse",
+  "shift",
+  "sort",
+  "splice",
+  "unshift",
+];
+
+// The Array methods that return a new array built from the elements of the
+// sentinel, which the `propagate` option can wrap as well. The elements are
+// read through the sentinel, so they are already wrapped either way.
+const _derivedArrayMethodNames = [
+  "concat",
+  "filter",
+  "flat",
+  "flatMap",
+  "map",
+  "slice",
+  "toReversed",
+  "toSorted",
+  "toSpliced",
+  "with",
+];
+
+// The Array methods that are running on sentinels, innermost last
+type ArrayMethodCall = {|target: Observable, children: Array<Mutation>|};
+const _arrayMethodCalls: Array<ArrayMethodCall> = [];
+
+const _arrayMethodImpl: BuiltinMethodImpl = (
+  target,
+  sentinel,
+  args,
+  native,
+  name
+) => {
+  const call = {target, children: []};
+  const lengthBefore = target.length;
+  _arrayMethodCalls.push(call);
+  try {
+    // The method runs on the sentinel, so the traps apply `enforce` to each
+    // write it makes.
+    return native.apply(sentinel, args);
+  } finally {
+    _arrayMethodCalls.splice(_arrayMethodCalls.lastIndexOf(call), 1);
+    if (call.children.length > 0) {
+      _reportMutation(target, null, {
+        type: "arrayMethod",
+        method: name,
+        args,
+        lengthBefore,
+        lengthAfter: target.length,
+        children: call.children,
+      });
+    }
+  }
+};
+
+// The new array is a nested sentinel of the array it was made from, with the
+// method as the last segment of its path, like "filter()".
+const _derivedArrayMethodImpl: BuiltinMethodImpl = (
+  target,
+  sentinel,
+  args,
+  native,
+  name
+) => {
+  const result = native.apply(sentinel, args);
+  return _makeSentinelForMeta(
+    result,
+    _getMeta(target),
+    `${name}()`,
+    _defaultRootOpts
+  );
+};
+
+/**
+ * Returns the innermost Array method call that is running on the sentinel for
+ * `target`, if any.
+ */
+function _getArrayMethodCall(target: Observable): ?ArrayMethodCall {
+  for (let i = _arrayMethodCalls.length - 1; i >= 0; i--) {
+    if (_arrayMethodCalls[i].target === target) {
+      return _arrayMethodCalls[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Refuses a call to a mutating method of a built-in object. Since there is no
+ * strict mode for method calls, the call either throws or returns
+ * `returnValue` as if nothing had to be changed.
+ */
+function _refuseMethodCall<T>(
+  enforce: Enforce,
+  method: string,
+  returnValue: T
+): T {
+  if (enforce === "throw") {
+    throw new TypeError(`Mutation blocked by a sentinel: ${method}()`);
+  }
+  return returnValue;
+}
+
+// The tables are created the first time they are needed, since this module is
+// also loaded in environments without Proxy, Map or Set.
+let _builtinMethodTables: ?Array<[Function, BuiltinMethods]> = null;
+
+function _getBuiltinMethods(value: mixed): ?BuiltinMethods {
+  if (_builtinMethodTables == null) {
+    _builtinMethodTables = [
+      [Map, _makeBuiltinMethods(Map.prototype, name => _mapMethodImpls[name])],
+      [
+        WeakMap,
+        _makeBuiltinMethods(WeakMap.prototype, name => _mapMethodImpls[name]),
+      ],
+      [Set, _makeBuiltinMethods(Set.prototype, name => _setMethodImpls[name])],
+      [Date, _makeBuiltinMethods(Date.prototype, _getDateMethodImpl)],
+      [Array, _makeBuiltinMethods(Array.prototype, _getArrayMethodImpl, false)],
+    ];
+    // Not all browsers that support Proxy support WeakSet.
+    if (typeof WeakSet !== "undefined") {
+      _builtinMethodTables.push([
+        WeakSet,
+        _makeBuiltinMethods(WeakSet.prototype, name => _setMethodImpls[name]),
+      ]);
+    }
+  }
+  for (let i = 0; i < _builtinMethodTables.length; i++) {
+    const [constructor, methods] = _builtinMethodTables[i];
+    if (value instanceof constructor) {
+      return methods;
+    }
+  }
+  return null;
+}
+
+function _getDateMethodImpl(name: string): ?BuiltinMethodImpl {
+  return name.startsWith("set") ? _dateSetterImpl : null;
+}
+
+function _getArrayMethodImpl(name: string): ?BuiltinMethodImpl {
+  return _arrayMethodNames.indexOf(name) !== -1 ? _arrayMethodImpl : null;
+}
+
+let _derivedArrayMethods: ?BuiltinMethods = null;
+
+/**
+ * Returns the wrapper for a method of the sentinel for `meta` if the
+ * `propagate` option applies to it.
+ */
+function _getDerivedArrayMethod(
+  meta: SentinelMeta,
+  method: Function
+): ?Function {
+  const propagate =
+    meta.opts.propagate !== undefined
+      ? meta.opts.propagate
+      : _getOpts().propagate;
+  if (propagate.length === 0 || propagate.indexOf(method.name) === -1) {
+    return null;
+  }
+  if (_derivedArrayMethods == null) {
+    _derivedArrayMethods = _makeBuiltinMethods(
+      Array.prototype,
+      name =>
+        _derivedArrayMethodNames.indexOf(name) !== -1
+          ? _derivedArrayMethodImpl
+          : null,
+      false
+    );
+  }
+  return _derivedArrayMethods.get(method);
+}
+
+/**
+ * Creates a wrapper for every method on `proto`. Methods without an
+ * implementation are simply called on the original object, so that methods we
+ * don't know about (e.g. ones added in newer runtimes) keep working. If
+ * `wrapAll` is false, they are not wrapped at all instead.
+ */
+function _makeBuiltinMethods(
+  // Flow core.js uses the weak Object type for prototypes.
+  // eslint-disable-next-line flowtype/no-weak-types
+  proto: Object,
+  getImpl: (name: string) => ?BuiltinMethodImpl,
+  wrapAll: boolean = true
+): BuiltinMethods {
+  const methods = new Map();
+  Object.getOwnPropertyNames(proto).forEach(name => {
+    const native = Object.getOwnPropertyDescriptor(proto, name).value;
+    if (name === "constructor" || typeof native !== "function") {
+      return;
+    }
+    const impl = getImpl(name);
+    if (impl == null && !wrapAll) {
+      return;
+    }
+    methods.set(native, function() {
+      const target =
+        _knownSentinels != null ? _knownSentinels.get(this) : undefined;
+      if (target == null) {
+        // Not called on a sentinel, so there is nothing to watch.
+        return native.apply(this, arguments);
+      }
+      const args = Array.prototype.slice.call(arguments);
+      return impl != null
+        ? impl(target, this, args, native, name)
+        : native.apply(target, args);
+    });
+  });
+  return methods;
+}
+
+/**
+ * Returns the key under which `key` is stored in a Map or Set. Since values
+ * read from a sentinel collection are themselves sentinels, a sentinel that is
+ * passed back in is looked up by the object it wraps.
+ */
+function _resolveKey(target: any, key: mixed): mixed {
+  if (
+    key == null ||
+    (typeof key !== "object" && typeof key !== "function") ||
+    target.has(key) ||
+    _knownSentinels == null
+  ) {
+    return key;
+  }
+  const original = _knownSentinels.get(key);
+  return original != null && target.has(original) ? original : key;
+}
+
+function _mapIterator<T, U>(iterator: Iterator<T>, fn: T => U): Iterator<U> {
+  const mapped: any = {
+    next: () => {
+      const step = iterator.next();
+      return step.done ? step : {done: false, value: fn(step.value)};
+    },
+  };
+  mapped[(Symbol.iterator: any)] = () => mapped;
+  return mapped;
+}
@@ -0,0 +1,104 @@
+// @flow
+
+// The patterns of the `ignoreMutations` option, as described in the README.
+// Property names and symbols match any property along the path, and strings
+// with dots are globs that are matched against the start of the path.
+export type PathPattern = string | Symbol;
+
+// Whether a path matches one of the patterns it was made for
+export type PathMatcher = (path: $ReadOnlyArray<mixed>) => boolean;
+
+type SegmentMatcher = (segment: mixed) => boolean;
+
+/**
+ * Returns a function that tells whether a path matches any of the patterns,
+ * or null if there are none. Entries that are neither strings nor symbols are
+ * skipped.
+ */
+export default function makePathMatcher(
+  patterns: $ReadOnlyArray<mixed>
+): PathMatcher | null {
+  const matchers: Array<PathMatcher> = [];
+  patterns.forEach(pattern => {
+    if (_isSymbol(pattern)) {
+      matchers.push(path => path.indexOf(pattern) !== -1);
+    } else if (typeof pattern === "string" && pattern.indexOf(".") === -1) {
+      const matchSegment = _makeSegmentMatcher(pattern);
+      matchers.push(path => path.some(matchSegment));
+    } else if (typeof pattern === "string") {
+      const segments = pattern
+        .split(".")
+        .map(
+          segment => (segment === "**" ? null : _makeSegmentMatcher(segment))
+        );
+      matchers.push(path => _matchesStart(segments, 0, path, 0));
+    }
+  });
+  if (matchers.length === 0) {
+    return null;
+  }
+  return path => matchers.some(matcher => matcher(path));
+}
+
+/**
+ * Whether the value can be used as a pattern.
+ */
+export function isPathPattern(value: mixed): boolean {
+  return typeof value === "string" || _isSymbol(value);
+}
+
+function _isSymbol(value: mixed): boolean {
+  // Flow doesn't accept "symbol" as a result of typeof.
+  const type: string = typeof value;
+  return type === "symbol";
+}
+
+// A `*` in a segment matches any number of characters, and a segment that is
+// only `*` matches any property, including symbols.
+function _makeSegmentMatcher(pattern: string): SegmentMatcher {
+  if (pattern === "*") {
+    return () => true;
+  }
+  if (pattern.indexOf("*") === -1) {
+    return segment => segment === pattern;
+  }
+  const regExp = new RegExp(
+    "^" +
+      pattern
+        .split("*")
+        .map(part => part.replace(/[\\^$.+?()[\]{}|]/g, "\\$&"))
+        .join(".*") +
+      "$"
+  );
+  return segment => typeof segment === "string" && regExp.test(segment);
+}
+
+/**
+ * Whether the path, from index `j`, starts with segments that match the
+ * segment matchers from index `i`. Null stands for `**`, which matches any
+ * number of segments.
+ */
+function _matchesStart(
+  segments: Array<SegmentMatcher | null>,
+  i: number,
+  path: $ReadOnlyArray<mixed>,
+  j: number
+): boolean {
+  if (i === segments.length) {
+    return true;
+  }
+  const matchSegment = segments[i];
+  if (matchSegment == null) {
+    for (let k = j; k <= path.length; k++) {
+      if (_matchesStart(segments, i + 1, path, k)) {
+        return true;
+      }
+    }
+    return false;
+  }
+  return (
+    j < path.length &&
+    matchSegment(path[j]) &&
+    _matchesStart(segments, i + 1, path, j + 1)
+  );
+}
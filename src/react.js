@@ -0,0 +1,178 @@
+// @flow
+
+import * as React from "react";
+
+import makeSentinel, {
+  _getExistingSentinel,
+  _getGlobalShouldIgnore,
+  _runInComponent,
+} from "./makeSentinel";
+import type {MakeSentinelOpts} from "./makeSentinel";
+
+// The methods of a class component that are run with the mutations they make
+// attributed to the component, besides render.
+const _lifecycleMethods = [
+  "componentWillMount",
+  "UNSAFE_componentWillMount",
+  "componentDidMount",
+  "componentWillReceiveProps",
+  "UNSAFE_componentWillReceiveProps",
+  "shouldComponentUpdate",
+  "componentWillUpdate",
+  "UNSAFE_componentWillUpdate",
+  "getSnapshotBeforeUpdate",
+  "componentDidUpdate",
+  "componentWillUnmount",
+  "componentDidCatch",
+];
+
+// React elements are frozen and owned by React, so they are never wrapped.
+const _sentinelOpts: MakeSentinelOpts = {
+  shouldIgnore: value =>
+    React.isValidElement(value) || _getGlobalShouldIgnore()(value),
+};
+
+// The types of the elements made by React.memo and React.forwardRef
+const _memoType =
+  typeof Symbol === "function" && Symbol.for
+    ? Symbol.for("react.memo")
+    : 0xead3;
+const _forwardRefType =
+  typeof Symbol === "function" && Symbol.for
+    ? Symbol.for("react.forward_ref")
+    : 0xead0;
+
+/**
+ * Returns a component that renders Component with each of its props wrapped
+ * by a sentinel. The state of a class component is wrapped as well, every time
+ * it renders. Props that are already wrapped, like the records of a store
+ * sentinel, keep their sentinel, with its root and options.
+ *
+ * The mutations that are made while Component renders, or runs one of its
+ * lifecycle methods, are reported with its display name as their `component`.
+ * Since there is only one sentinel per object, a PureComponent gets the same
+ * props as long as the original objects stay the same.
+ *
+ * Component can also be made by `React.memo` or `React.forwardRef`, and refs
+ * are forwarded to it.
+ */
+export function withSentinelProps<Props: {}>(
+  Component: React.ComponentType<Props>
+): React.ComponentType<Props> {
+  const name = _getDisplayName(Component);
+  const Inner = _wrapComponent(Component, name);
+
+  function WithSentinelProps(props: Props, ref: mixed) {
+    const sentinelProps: any = {};
+    Object.keys(props).forEach(key => {
+      sentinelProps[key] = _wrap(props[key]);
+    });
+    if (ref != null) {
+      sentinelProps.ref = ref;
+    }
+    return React.createElement(Inner, sentinelProps);
+  }
+  const Forwarded = (React: any).forwardRef(WithSentinelProps);
+  Forwarded.displayName = `withSentinelProps(${name})`;
+  return Forwarded;
+}
+
+/**
+ * Returns the value wrapped by a sentinel, like `makeSentinel`, for use in
+ * function components, for example with the value from `useState`. Mutations
+ * made while a component wrapped with `withSentinelProps` renders are reported
+ * with its display name.
+ */
+export function useSentinel<T>(value: T): T {
+  return _wrap(value);
+}
+
+function _wrap<T>(value: T): T {
+  const sentinel = _getExistingSentinel(value);
+  return sentinel !== undefined ? sentinel : makeSentinel(value, _sentinelOpts);
+}
+
+function _getDisplayName(Component: any): string {
+  if (Component != null && Component.displayName) {
+    return Component.displayName;
+  }
+  if (typeof Component === "function" && Component.name) {
+    return Component.name;
+  }
+  if (Component != null && Component.$$typeof === _memoType) {
+    return _getDisplayName(Component.type);
+  }
+  if (Component != null && Component.$$typeof === _forwardRefType) {
+    return _getDisplayName(Component.render);
+  }
+  return "Component";
+}
+
+function _wrapComponent(Component: any, name: string) {
+  if (typeof Component === "function") {
+    return Component.prototype != null && Component.prototype.isReactComponent
+      ? _wrapClassComponent(Component, name)
+      : _wrapFunctionComponent(Component, name);
+  }
+  if (Component != null && Component.$$typeof === _memoType) {
+    return (React: any).memo(
+      _wrapComponent(Component.type, name),
+      Component.compare
+    );
+  }
+  if (Component != null && Component.$$typeof === _forwardRefType) {
+    const render = Component.render;
+    const Forwarded = (React: any).forwardRef((props, ref) =>
+      _runInComponent(name, () => render(props, ref))
+    );
+    Forwarded.displayName = name;
+    return Forwarded;
+  }
+  throw new TypeError(
+    "withSentinelProps() expects a class or function component, or a " +
+      `component made by React.memo or React.forwardRef, but got ${String(
+        Component
+      )}`
+  );
+}
+
+// Statics like defaultProps and getDerivedStateFromProps are inherited from
+// the component, and instances are created by the component itself, so that
+// native classes work too. Their methods are wrapped once they are created.
+function _wrapClassComponent(Component: Class<any>, name: string) {
+  function SentinelComponent(...args) {
+    const instance = new Component(...args);
+    const render = instance.render;
+    instance.render = function() {
+      if (this.state != null) {
+        this.state = _wrap(this.state);
+      }
+      return _runInComponent(name, () => render.call(this));
+    };
+    _lifecycleMethods.forEach(methodName => {
+      const method = instance[methodName];
+      if (typeof method === "function") {
+        instance[methodName] = function(...methodArgs) {
+          return _runInComponent(name, () => method.apply(this, methodArgs));
+        };
+      }
+    });
+    return instance;
+  }
+  SentinelComponent.prototype = Component.prototype;
+  Object.setPrototypeOf(SentinelComponent, Component);
+  SentinelComponent.displayName = name;
+  return SentinelComponent;
+}
+
+function _wrapFunctionComponent(
+  Component: (...args: Array<mixed>) => React.Node,
+  name: string
+) {
+  function SentinelComponent(...args) {
+    return _runInComponent(name, () => Component(...args));
+  }
+  Object.setPrototypeOf(SentinelComponent, Component);
+  SentinelComponent.displayName = name;
+  return SentinelComponent;
+}
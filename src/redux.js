@@ -0,0 +1,118 @@
+// @flow
+
+import {
+  _getGlobalShouldIgnore,
+  _makeStoreSentinel,
+  getOriginal,
+} from "./makeSentinel";
+import type {
+  Enforce,
+  MutationHandler,
+  Propagate,
+  ShouldIgnore,
+  StoreAction,
+} from "./makeSentinel";
+import type {PathPattern} from "./pathPatterns";
+
+// The options of `sentinelEnhancer`. The sentinel options apply to the state
+// of the store, like the options of `makeSentinel`.
+export type SentinelEnhancerOpts = {|
+  label?: string | void,
+  shouldIgnore?: ShouldIgnore | void,
+  mutationHandler?: MutationHandler | void,
+  enforce?: Enforce | void,
+  ignoreMutations?: $ReadOnlyArray<PathPattern> | void,
+  propagate?: Propagate | void,
+  // The keys of the slices of the root state that are not wrapped
+  ignoreSlices?: Array<string> | void,
+|};
+
+// The parts of the Redux API that are used here, so that Redux doesn't have
+// to be a dependency.
+type Reducer = (state: mixed, action: {type: mixed}) => mixed;
+type Store = {replaceReducer: (reducer: Reducer) => void};
+type StoreCreator = (reducer: Reducer, preloadedState: mixed) => Store;
+
+/**
+ * Returns a Redux store enhancer that wraps the state with a sentinel every
+ * time the reducer returns a new one:
+ *
+ *   const store = createStore(reducer, sentinelEnhancer({label: "store"}));
+ *
+ * Mutations made by the reducer are reported with the action it is reducing
+ * as their `action`, with `inReducer` set. Mutations made afterwards, by
+ * selectors or components for example, are reported with the last action that
+ * was dispatched. Each store keeps its own action, which is only reported for
+ * the objects reached through its state.
+ */
+export function sentinelEnhancer(opts?: SentinelEnhancerOpts) {
+  return (createStore: StoreCreator) => (
+    reducer: Reducer,
+    preloadedState: mixed
+  ) => {
+    const storeAction = {action: null};
+    const store = createStore(
+      _wrapReducer(reducer, opts, storeAction),
+      preloadedState
+    );
+    return {
+      ...store,
+      replaceReducer: (nextReducer: Reducer) =>
+        store.replaceReducer(_wrapReducer(nextReducer, opts, storeAction)),
+    };
+  };
+}
+
+function _wrapReducer(
+  reducer: Reducer,
+  opts: ?SentinelEnhancerOpts,
+  storeAction: StoreAction
+): Reducer {
+  return (state, action) => {
+    const type = String(action.type);
+    storeAction.action = {type, inReducer: true};
+    let nextState;
+    try {
+      nextState = reducer(state, action);
+    } finally {
+      storeAction.action = {type, inReducer: false};
+    }
+    return _wrapState(nextState, opts, storeAction);
+  };
+}
+
+function _wrapState(
+  state: mixed,
+  opts: ?SentinelEnhancerOpts,
+  storeAction: StoreAction
+): mixed {
+  const {
+    label,
+    shouldIgnore,
+    mutationHandler,
+    enforce,
+    ignoreMutations,
+    propagate,
+    ignoreSlices,
+  } =
+    opts || {};
+  const original: any = getOriginal(state);
+  const ignoredSlices =
+    original != null && typeof original === "object"
+      ? (ignoreSlices || []).map(key => original[key])
+      : [];
+  return _makeStoreSentinel(
+    state,
+    {
+      label,
+      shouldIgnore: value =>
+        ignoredSlices.indexOf(value) !== -1 ||
+        (shouldIgnore || _getGlobalShouldIgnore())(value),
+      mutationHandler,
+      enforce,
+      ignoreMutations,
+      propagate,
+    },
+    storeAction
+  );
+}
@@ -1,12 +1,35 @@
 // @flow
 
 import makeSentinel, {
+  checkpoint,
   configureSentinels,
+  createMutationRecorder,
+  deepUnwrap,
+  flushMutationReports,
+  getOriginal,
+  getSamplingStats,
+  getSentinelConfig,
+  guardPure,
+  ignoreHostObjects,
   isSentinel,
+  makeImmutable,
+  pauseSentinels,
+  resetSamplingStats,
+  resumeSentinels,
+  runUnguarded,
+  runWithSentinelContext,
+  trackReads,
+  verifyCheckpoint,
+  withSentinelConfig,
+  withSentinelConfigAsync,
   type SentinelOpts,
 } from "../src";
 
 import {_globalOpts} from "../src/makeSentinel";
+import createSyncContextStorage from "../src/contextStorage.browser";
+
+// $FlowFixMe: async_hooks is missing from the flow lib of this version
+const hasAsyncLocalStorage = require("async_hooks").AsyncLocalStorage != null;
 
 const withUpdatedSentinelOpts = (opts: SentinelOpts, body: () => void) => {
   const backup = {..._globalOpts};
@@ -31,6 +54,15 @@ function withMockWarn(body: (mockWarn: () => void) => void) {
   /* eslint-enable no-console */
 }
 
+function catchError(body: () => mixed): mixed {
+  try {
+    body();
+  } catch (e) {
+    return e;
+  }
+  return undefined;
+}
+
 describe("configureSentinels", () => {
   it("updates the global options correctly", () => {
     const shouldIgnore = jest.fn();
@@ -76,6 +108,205 @@ describe("configureSentinels", () => {
   });
 });
 
+describe("withSentinelConfig", () => {
+  it("applies the options only while the function runs", () => {
+    const prevShouldIgnore = getSentinelConfig().shouldIgnore;
+    const mutationHandler = jest.fn();
+    const result = withSentinelConfig({mutationHandler}, () => {
+      expect(getSentinelConfig().mutationHandler).toBe(mutationHandler);
+      // Options that are left out keep their current values
+      expect(getSentinelConfig().shouldIgnore).toBe(prevShouldIgnore);
+      return 1;
+    });
+    expect(result).toBe(1);
+    expect(getSentinelConfig().mutationHandler).not.toBe(mutationHandler);
+  });
+
+  it("does not apply the options to callbacks after the function returns", () => {
+    const mutationHandler = jest.fn();
+    let callback = () => {};
+    withSentinelConfig({mutationHandler}, () => {
+      callback = () => getSentinelConfig().mutationHandler;
+      expect(callback()).toBe(mutationHandler);
+    });
+    expect(callback()).not.toBe(mutationHandler);
+  });
+
+  it("restores the options if the function throws", () => {
+    const prevMutationHandler = getSentinelConfig().mutationHandler;
+    expect(() =>
+      withSentinelConfig({mutationHandler: jest.fn()}, () => {
+        throw new Error("oops");
+      })
+    ).toThrow("oops");
+    expect(getSentinelConfig().mutationHandler).toBe(prevMutationHandler);
+  });
+
+  it("supports nested scopes", () => {
+    const outerHandler = jest.fn();
+    const innerHandler = jest.fn();
+    const shouldIgnore = jest.fn();
+    withSentinelConfig({mutationHandler: outerHandler, shouldIgnore}, () => {
+      withSentinelConfig({mutationHandler: innerHandler}, () => {
+        expect(getSentinelConfig().mutationHandler).toBe(innerHandler);
+        expect(getSentinelConfig().shouldIgnore).toBe(shouldIgnore);
+      });
+      expect(getSentinelConfig().mutationHandler).toBe(outerHandler);
+    });
+  });
+
+  it("resets options that are set to undefined", () => {
+    const prevShouldIgnore = getSentinelConfig().shouldIgnore;
+    withSentinelConfig({shouldIgnore: jest.fn()}, () => {
+      withSentinelConfig({shouldIgnore: undefined}, () => {
+        expect(getSentinelConfig().shouldIgnore).toBe(prevShouldIgnore);
+      });
+    });
+  });
+
+  it("keeps the scoped options when configureSentinels is called", () => {
+    const scopedHandler = jest.fn();
+    const configuredHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler: undefined}, () => {
+      withSentinelConfig({mutationHandler: scopedHandler}, () => {
+        configureSentinels({mutationHandler: configuredHandler});
+        expect(getSentinelConfig().mutationHandler).toBe(scopedHandler);
+      });
+      expect(getSentinelConfig().mutationHandler).toBe(configuredHandler);
+    });
+  });
+});
+
+describe("withSentinelConfigAsync", () => {
+  it("applies the options until the promise settles", () => {
+    const prevMutationHandler = getSentinelConfig().mutationHandler;
+    const mutationHandler = jest.fn();
+    let resolve: number => void = () => {};
+    let handlerAfterAwait = null;
+    const promise = withSentinelConfigAsync({mutationHandler}, async () => {
+      expect(getSentinelConfig().mutationHandler).toBe(mutationHandler);
+      const value = await new Promise(r => (resolve = r));
+      handlerAfterAwait = getSentinelConfig().mutationHandler;
+      return value;
+    });
+    // The options don't apply outside of fn.
+    expect(getSentinelConfig().mutationHandler).toBe(prevMutationHandler);
+    resolve(1);
+    return promise.then(value => {
+      expect(value).toBe(1);
+      // Without AsyncLocalStorage, the options only apply until fn returns.
+      expect(handlerAfterAwait).toBe(
+        hasAsyncLocalStorage ? mutationHandler : prevMutationHandler
+      );
+      expect(getSentinelConfig().mutationHandler).toBe(prevMutationHandler);
+    });
+  });
+
+  it("keeps the options of concurrent scopes apart", async () => {
+    const handlerA = jest.fn();
+    const handlerB = jest.fn();
+    const globalHandler = jest.fn();
+    const a: any = makeSentinel({});
+    const b: any = makeSentinel({});
+    const outside: any = makeSentinel({});
+    let resolveA = () => {};
+    let resolveB = () => {};
+    const backup = {..._globalOpts};
+    configureSentinels({mutationHandler: globalHandler});
+    try {
+      const first = withSentinelConfigAsync(
+        {mutationHandler: handlerA},
+        async () => {
+          await new Promise(r => (resolveA = r));
+          a.value = 1;
+        }
+      );
+      const second = withSentinelConfigAsync(
+        {mutationHandler: handlerB},
+        async () => {
+          await new Promise(r => (resolveB = r));
+          b.value = 1;
+        }
+      );
+      outside.value = 1;
+      resolveA();
+      await first;
+      resolveB();
+      await second;
+    } finally {
+      configureSentinels(backup);
+    }
+    const targets = handler => handler.mock.calls.map(call => call[0].target);
+    expect(targets(globalHandler)).toEqual(
+      hasAsyncLocalStorage
+        ? [getOriginal(outside)]
+        : [getOriginal(outside), getOriginal(a), getOriginal(b)]
+    );
+    if (hasAsyncLocalStorage) {
+      expect(targets(handlerA)).toEqual([getOriginal(a)]);
+      expect(targets(handlerB)).toEqual([getOriginal(b)]);
+    }
+  });
+
+  it("restores the options if the promise rejects", () => {
+    const prevMutationHandler = getSentinelConfig().mutationHandler;
+    const promise = withSentinelConfigAsync({mutationHandler: jest.fn()}, () =>
+      Promise.reject(new Error("oops"))
+    );
+    return promise.catch(error => {
+      expect(error.message).toBe("oops");
+      expect(getSentinelConfig().mutationHandler).toBe(prevMutationHandler);
+    });
+  });
+
+  it("restores the options if the function throws", () => {
+    const prevMutationHandler = getSentinelConfig().mutationHandler;
+    const promise = withSentinelConfigAsync(
+      {mutationHandler: jest.fn()},
+      () => {
+        throw new Error("oops");
+      }
+    );
+    expect(getSentinelConfig().mutationHandler).toBe(prevMutationHandler);
+    return promise.catch(error => {
+      expect(error.message).toBe("oops");
+    });
+  });
+
+  it("applies the options of nested scopes on top of each other", () => {
+    const outerHandler = jest.fn();
+    const innerHandler = jest.fn();
+    const shouldIgnore = jest.fn();
+    return withSentinelConfigAsync(
+      {mutationHandler: outerHandler, shouldIgnore},
+      async () => {
+        await withSentinelConfigAsync(
+          {mutationHandler: innerHandler},
+          async () => {
+            expect(getSentinelConfig().mutationHandler).toBe(innerHandler);
+            expect(getSentinelConfig().shouldIgnore).toBe(shouldIgnore);
+          }
+        );
+        expect(getSentinelConfig().mutationHandler).toBe(
+          hasAsyncLocalStorage ? outerHandler : _globalOpts.mutationHandler
+        );
+      }
+    );
+  });
+});
+
+describe("getSentinelConfig", () => {
+  it("returns a copy of the options in effect", () => {
+    const mutationHandler = jest.fn();
+    withSentinelConfig({mutationHandler}, () => {
+      const config = getSentinelConfig();
+      expect(config).toEqual(getSentinelConfig());
+      expect(config).not.toBe(getSentinelConfig());
+      expect(config.mutationHandler).toBe(mutationHandler);
+    });
+  });
+});
+
 describe("makeSentinel", () => {
   it("does not wrap primitives", () => {
     expect(makeSentinel(null)).toBeNull();
@@ -153,6 +384,137 @@ describe("makeSentinel", () => {
     expect(sentinel.readonly).toBe(obj.readonly);
   });
 
+  it("respects property invariants of objects locked after they are wrapped", () => {
+    const obj: any = {frozen: {}, defined: {}};
+    const sentinel = makeSentinel(obj, {mutationHandler: () => {}});
+    expect(sentinel.frozen).not.toBe(obj.frozen);
+    Object.defineProperty(
+      sentinel,
+      "defined",
+      ({configurable: false, writable: false}: any)
+    );
+    expect(sentinel.defined).toBe(obj.defined);
+    Object.freeze(obj);
+    expect(sentinel.frozen).toBe(obj.frozen);
+  });
+
+  it("respects property invariants of properties locked through the original object", () => {
+    const obj = {};
+    const array: any = [{}];
+    const sentinel: any = makeSentinel(obj);
+    const arraySentinel = makeSentinel(array);
+    const value = {};
+    Object.defineProperty(obj, "x", {
+      value,
+      writable: false,
+      configurable: false,
+    });
+    Object.defineProperty(
+      array,
+      "0",
+      ({writable: false, configurable: false}: any)
+    );
+    expect(sentinel.x).toBe(value);
+    expect(arraySentinel[0]).toBe(array[0]);
+  });
+
+  it("respects property invariants of functions", () => {
+    // Like native classes
+    function Shipment() {}
+    Object.defineProperty(Shipment, "prototype", ({writable: false}: any));
+    const sentinel = makeSentinel(Shipment);
+    expect(sentinel.prototype).toBe(Shipment.prototype);
+  });
+
+  it("does not wrap inherited properties", () => {
+    const proto = {inherited: {}};
+    const sentinel = makeSentinel(Object.create(proto));
+    expect(sentinel.inherited).toBe(proto.inherited);
+  });
+
+  it("updates the path when the parent is reached through another path", () => {
+    const mutationHandler = jest.fn();
+    const child = {};
+    const parent = {child};
+    const sentinel = makeSentinel({a: parent, b: parent}, {mutationHandler});
+    sentinel.a.child.value = 1;
+    sentinel.b.child.value = 2;
+    expect(mutationHandler.mock.calls.map(call => call[0].path)).toEqual([
+      ["a", "child", "value"],
+      ["b", "child", "value"],
+    ]);
+  });
+
+  it("reports writes through held references with the last path read", () => {
+    const storeHandler = jest.fn();
+    const logHandler = jest.fn();
+    const record = {status: "open"};
+    const store: any = makeSentinel(
+      {shipments: [record]},
+      {label: "store", mutationHandler: storeHandler, enforce: "throw"}
+    );
+    const log: any = makeSentinel(
+      {current: record},
+      {label: "log", mutationHandler: logHandler}
+    );
+    const held = store.shipments[0];
+    log.current.status;
+    // The write is reported under the path and options of log, so the
+    // enforce option of store doesn't apply.
+    held.status = "closed";
+    expect(storeHandler).not.toHaveBeenCalled();
+    expect(logHandler.mock.calls[0][0]).toMatchObject({
+      label: "log",
+      path: ["current", "status"],
+      blocked: false,
+      ambiguousPath: true,
+    });
+    expect(record.status).toBe("closed");
+    // Reading it through store again switches back.
+    expect(
+      catchError(() => (store.shipments[0].status = "open"))
+    ).toBeInstanceOf(TypeError);
+    expect(storeHandler.mock.calls[0][0].path).toEqual([
+      "shipments",
+      "0",
+      "status",
+    ]);
+  });
+
+  it("flags the path of objects reached through several paths", () => {
+    const mutationHandler = jest.fn();
+    const shared = {item: {}};
+    const sentinel: any = makeSentinel(
+      {a: shared, b: shared, c: {}},
+      {mutationHandler}
+    );
+    const held = sentinel.a;
+    sentinel.c.value = 1;
+    sentinel.b;
+    held.value = 1;
+    // Objects inside of the shared object are flagged as well.
+    sentinel.a.item.value = 1;
+    expect(
+      mutationHandler.mock.calls.map(call => [
+        call[0].path,
+        call[0].ambiguousPath,
+      ])
+    ).toEqual([
+      [["c", "value"], false],
+      [["b", "value"], true],
+      [["a", "item", "value"], true],
+    ]);
+  });
+
+  it("does not flag objects reached through the same path of a new root", () => {
+    const mutationHandler = jest.fn();
+    const shipments = [{}];
+    makeSentinel({shipments}, {mutationHandler}).shipments[0];
+    const next: any = makeSentinel({shipments}, {mutationHandler});
+    next.shipments[0].status = "closed";
+    expect(mutationHandler.mock.calls[0][0].ambiguousPath).toBe(false);
+  });
+
   it("detects mutations via assignment", () => {
     const mutationHandler = jest.fn();
     withUpdatedSentinelOpts({mutationHandler}, () => {
@@ -163,6 +525,17 @@ describe("makeSentinel", () => {
       expect(mutationHandler.mock.calls[0][0]).toEqual({
         type: "set",
         target: obj,
+        root: obj,
+        path: ["a"],
+        blocked: false,
+        stack: expect.any(String),
+        callSite: expect.any(String),
+        occurrences: 1,
+        component: null,
+        action: null,
+        tags: {},
+        guard: null,
+        ambiguousPath: false,
         property: "a",
         value: 2,
       });
@@ -189,6 +562,17 @@ describe("makeSentinel", () => {
       expect(mutationHandler.mock.calls[0][0]).toEqual({
         type: "set",
         target: obj,
+        root: obj,
+        path: ["a"],
+        blocked: false,
+        stack: expect.any(String),
+        callSite: expect.any(String),
+        occurrences: 1,
+        component: null,
+        action: null,
+        tags: {},
+        guard: null,
+        ambiguousPath: false,
         property: "a",
         value: 2,
       });
@@ -206,6 +590,17 @@ describe("makeSentinel", () => {
       expect(mutationHandler.mock.calls[0][0]).toEqual({
         type: "defineProperty",
         target: obj,
+        root: obj,
+        path: ["a"],
+        blocked: false,
+        stack: expect.any(String),
+        callSite: expect.any(String),
+        occurrences: 1,
+        component: null,
+        action: null,
+        tags: {},
+        guard: null,
+        ambiguousPath: false,
         property: "a",
         descriptor,
       });
@@ -223,6 +618,17 @@ describe("makeSentinel", () => {
       expect(mutationHandler.mock.calls[0][0]).toEqual({
         type: "defineProperty",
         target: obj,
+        root: obj,
+        path: ["a"],
+        blocked: false,
+        stack: expect.any(String),
+        callSite: expect.any(String),
+        occurrences: 1,
+        component: null,
+        action: null,
+        tags: {},
+        guard: null,
+        ambiguousPath: false,
         property: "a",
         descriptor,
       });
@@ -254,6 +660,17 @@ describe("makeSentinel", () => {
       expect(mutationHandler.mock.calls[0][0]).toEqual({
         type: "defineProperty",
         target: obj,
+        root: obj,
+        path: ["a"],
+        blocked: false,
+        stack: expect.any(String),
+        callSite: expect.any(String),
+        occurrences: 1,
+        component: null,
+        action: null,
+        tags: {},
+        guard: null,
+        ambiguousPath: false,
         property: "a",
         descriptor,
       });
@@ -270,6 +687,17 @@ describe("makeSentinel", () => {
       expect(mutationHandler.mock.calls[0][0]).toEqual({
         type: "deleteProperty",
         target: obj,
+        root: obj,
+        path: ["a"],
+        blocked: false,
+        stack: expect.any(String),
+        callSite: expect.any(String),
+        occurrences: 1,
+        component: null,
+        action: null,
+        tags: {},
+        guard: null,
+        ambiguousPath: false,
         property: "a",
       });
     });
@@ -286,6 +714,17 @@ describe("makeSentinel", () => {
       expect(mutationHandler.mock.calls[0][0]).toEqual({
         type: "setPrototypeOf",
         target: obj,
+        root: obj,
+        path: ["[[Prototype]]"],
+        blocked: false,
+        stack: expect.any(String),
+        callSite: expect.any(String),
+        occurrences: 1,
+        component: null,
+        action: null,
+        tags: {},
+        guard: null,
+        ambiguousPath: false,
         property: "[[Prototype]]",
         prototype,
       });
@@ -314,6 +753,17 @@ describe("makeSentinel", () => {
       expect(mutationHandler.mock.calls[0][0]).toEqual({
         type: "set",
         target: obj.nested,
+        root: obj,
+        path: ["nested", "a"],
+        blocked: false,
+        stack: expect.any(String),
+        callSite: expect.any(String),
+        occurrences: 1,
+        component: null,
+        action: null,
+        tags: {},
+        guard: null,
+        ambiguousPath: false,
         property: "a",
         value: 2,
       });
@@ -345,6 +795,17 @@ describe("makeSentinel", () => {
       expect(mutationHandler.mock.calls[0][0]).toEqual({
         type: "set",
         target: fn,
+        root: fn,
+        path: ["a"],
+        blocked: false,
+        stack: expect.any(String),
+        callSite: expect.any(String),
+        occurrences: 1,
+        component: null,
+        action: null,
+        tags: {},
+        guard: null,
+        ambiguousPath: false,
         property: "a",
         value: 2,
       });
@@ -366,6 +827,17 @@ describe("makeSentinel", () => {
       expect(mutationHandler.mock.calls[0][0]).toEqual({
         type: "set",
         target: obj,
+        root: obj,
+        path: ["a"],
+        blocked: false,
+        stack: expect.any(String),
+        callSite: expect.any(String),
+        occurrences: 1,
+        component: null,
+        action: null,
+        tags: {},
+        guard: null,
+        ambiguousPath: false,
         property: "a",
         value: 2,
       });
@@ -394,6 +866,17 @@ describe("makeSentinel", () => {
       expect(mutationHandler.mock.calls[0][0]).toEqual({
         type: "set",
         target: obj.nested,
+        root: obj,
+        path: ["nested", "a"],
+        blocked: false,
+        stack: expect.any(String),
+        callSite: expect.any(String),
+        occurrences: 1,
+        component: null,
+        action: null,
+        tags: {},
+        guard: null,
+        ambiguousPath: false,
         property: "a",
         value: 2,
       });
@@ -427,6 +910,2142 @@ describe("makeSentinel", () => {
   });
 });
 
+describe("mutation paths", () => {
+  it("reports the path from the root sentinel", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const store = {shipments: [{}, {address: {city: "SF"}}]};
+      const sentinel = makeSentinel(store);
+      sentinel.shipments[1].address.city = "LA";
+      expect(mutationHandler.mock.calls.length).toBe(1);
+      const mutation = mutationHandler.mock.calls[0][0];
+      expect(mutation.root).toBe(store);
+      expect(mutation.target).toBe(store.shipments[1].address);
+      expect(mutation.path).toEqual(["shipments", "1", "address", "city"]);
+    });
+  });
+
+  it("reports the path that was used for the write", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const shared = {};
+      const sentinel = makeSentinel({a: shared, b: {c: shared}});
+      sentinel.a.value = 1;
+      sentinel.b.c.value = 2;
+      sentinel.a.value = 3;
+      expect(mutationHandler.mock.calls.map(call => call[0].path)).toEqual([
+        ["a", "value"],
+        ["b", "c", "value"],
+        ["a", "value"],
+      ]);
+    });
+  });
+
+  it("tracks the path of sentinels assigned to properties", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const obj: any = {nested: {}};
+      const sentinel = makeSentinel(obj);
+      const otherSentinel = makeSentinel({});
+      obj.nested = otherSentinel;
+      sentinel.nested.value = 1;
+      expect(mutationHandler.mock.calls[0][0].root).toBe(obj);
+      expect(mutationHandler.mock.calls[0][0].path).toEqual([
+        "nested",
+        "value",
+      ]);
+    });
+  });
+
+  it("makes the value the root when it is passed to makeSentinel", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const obj = {nested: {}};
+      const nestedSentinel = makeSentinel(obj).nested;
+      expect(makeSentinel(obj.nested)).toBe(nestedSentinel);
+      nestedSentinel.value = 1;
+      expect(mutationHandler.mock.calls[0][0].root).toBe(obj.nested);
+      expect(mutationHandler.mock.calls[0][0].path).toEqual(["value"]);
+    });
+  });
+
+  it("keeps the root as the root when it is reached through a cycle", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const obj: any = {nested: {}};
+      obj.self = obj;
+      obj.nested.parent = obj;
+      const sentinel = makeSentinel(obj);
+      sentinel.self.self.value = 1;
+      sentinel.nested.parent.value = 2;
+      sentinel.value = 3;
+      expect(mutationHandler.mock.calls.map(call => call[0].path)).toEqual([
+        ["value"],
+        ["value"],
+        ["value"],
+      ]);
+    });
+  });
+});
+
+describe("accessors", () => {
+  // Private class fields are a SyntaxError before Node.js 12.
+  const itWithPrivateFields = (() => {
+    try {
+      // eslint-disable-next-line no-new-func
+      new Function("class A { #a = 1; }");
+      return it;
+    } catch (e) {
+      return it.skip;
+    }
+  })();
+
+  class Counter {
+    _count: number;
+    _history: Array<number>;
+
+    constructor() {
+      this._count = 0;
+      this._history = [];
+    }
+  }
+  // This version of Flow doesn't support getters and setters in classes.
+  Object.defineProperties(
+    Counter.prototype,
+    ({
+      count: {
+        get() {
+          return this._count;
+        },
+        set(count) {
+          this._history.push(this._count);
+          this._count = count;
+        },
+      },
+      history: {
+        get() {
+          return this._history;
+        },
+      },
+    }: any)
+  );
+
+  it("reports the mutations made by setters instead of the assignment", () => {
+    const mutationHandler = jest.fn();
+    const counter: any = new Counter();
+    const sentinel = makeSentinel(counter, {mutationHandler});
+    sentinel.count = 2;
+    expect(counter.count).toBe(2);
+    expect(
+      mutationHandler.mock.calls.map(call => [call[0].type, call[0].path])
+    ).toEqual([["arrayMethod", ["_history"]], ["set", ["_count"]]]);
+    expect((mutationHandler.mock.calls[1][0]: any).value).toBe(2);
+  });
+
+  it("handles setters inherited from a base class", () => {
+    class LabeledCounter extends Counter {}
+    const mutationHandler = jest.fn();
+    const sentinel: any = makeSentinel(new LabeledCounter(), {
+      mutationHandler,
+    });
+    sentinel.count = 1;
+    expect(mutationHandler.mock.calls.map(call => call[0].path)).toEqual([
+      ["_history"],
+      ["_count"],
+    ]);
+  });
+
+  it("refuses the writes made by setters if enforce is set", () => {
+    const counter: any = new Counter();
+    const sentinel = makeSentinel(counter, {
+      mutationHandler: () => {},
+      enforce: "ignore",
+    });
+    sentinel.count = 1;
+    expect(counter.count).toBe(0);
+    expect(counter.history).toEqual([]);
+  });
+
+  it("runs getters with the sentinel as this", () => {
+    const mutationHandler = jest.fn();
+    const obj: any = {_total: null, items: [1, 2]};
+    Object.defineProperty(
+      obj,
+      "total",
+      ({
+        get() {
+          // Caches the total, which is a mutation.
+          if (this._total == null) {
+            this._total = this.items.reduce((a, b) => a + b, 0);
+          }
+          return this._total;
+        },
+      }: any)
+    );
+    const sentinel = makeSentinel(obj, {mutationHandler});
+    expect(sentinel.total).toBe(3);
+    expect(sentinel.total).toBe(3);
+    expect(mutationHandler.mock.calls.map(call => call[0].path)).toEqual([
+      ["_total"],
+    ]);
+  });
+
+  it("runs getters defined through the sentinel with the sentinel as this", () => {
+    const sentinel: any = makeSentinel(
+      {items: []},
+      {mutationHandler: () => {}}
+    );
+    Object.defineProperty(
+      sentinel,
+      "first",
+      ({
+        get() {
+          return this.items[0];
+        },
+      }: any)
+    );
+    sentinel.items.push({});
+    expect(isSentinel(sentinel.first)).toBe(true);
+  });
+
+  it("wraps the objects returned by inherited getters", () => {
+    const mutationHandler = jest.fn();
+    const sentinel: any = makeSentinel(new Counter(), {mutationHandler});
+    expect(isSentinel(sentinel.history)).toBe(true);
+    sentinel.history.push(1);
+    expect(mutationHandler.mock.calls[0][0].path).toEqual(["_history"]);
+  });
+
+  itWithPrivateFields(
+    "runs accessors that use private fields on the original object",
+    () => {
+      // Babel can't compile private fields, so the class is left to the
+      // engine.
+      // eslint-disable-next-line no-new-func
+      const Point: any = new Function(
+        "return class Point { #x = 1; get x() { return this.#x; } " +
+          "set x(x) { this.#x = x; } }"
+      )();
+      const mutationHandler = jest.fn();
+      const point = new Point();
+      const sentinel = makeSentinel(point, {mutationHandler});
+      expect(sentinel.x).toBe(1);
+      sentinel.x = 2;
+      expect(point.x).toBe(2);
+      expect(
+        mutationHandler.mock.calls.map(call => [call[0].type, call[0].path])
+      ).toEqual([["set", ["x"]]]);
+    }
+  );
+
+  it("does not run accessors again if they made mutations before throwing", () => {
+    const obj: any = {_total: null, items: [1, 2]};
+    const get = jest.fn(function() {
+      this._total = 3;
+      return this._total;
+    });
+    Object.defineProperty(obj, "total", ({get}: any));
+    const sentinel = makeSentinel(obj, {
+      mutationHandler: () => {},
+      enforce: "throw",
+    });
+    expect(() => sentinel.total).toThrow();
+    expect(get).toHaveBeenCalledTimes(1);
+    expect(obj._total).toBe(null);
+  });
+
+  it("rethrows the TypeErrors thrown by accessors without running them again", () => {
+    const mutationHandler = jest.fn();
+    const get = jest.fn(() => {
+      throw new TypeError("no age");
+    });
+    const set = jest.fn(() => {
+      throw new TypeError("age must be a number");
+    });
+    const obj: any = {};
+    Object.defineProperty(obj, "age", ({get, set}: any));
+    const sentinel: any = makeSentinel(obj, {mutationHandler});
+    expect(() => sentinel.age).toThrow("no age");
+    expect(() => (sentinel.age = "x")).toThrow("age must be a number");
+    expect(get).toHaveBeenCalledTimes(1);
+    expect(set).toHaveBeenCalledTimes(1);
+    expect(mutationHandler).not.toHaveBeenCalled();
+  });
+
+  it("does not report assignments to objects that inherit from a sentinel", () => {
+    const mutationHandler = jest.fn();
+    const proto = {a: 1};
+    const obj: any = Object.create(makeSentinel(proto, {mutationHandler}));
+    obj.a = 2;
+    obj.b = 3;
+    expect(obj).toEqual({a: 2, b: 3});
+    expect(proto).toEqual({a: 1});
+    expect(mutationHandler).not.toHaveBeenCalled();
+  });
+});
+
+describe("built-in collections", () => {
+  it("detects Map mutations", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const map = new Map([["a", 1], ["b", 2]]);
+      const obj = {map};
+      const sentinel = makeSentinel(obj).map;
+      expect(sentinel.set("a", 1)).toBe(sentinel);
+      sentinel.set("c", 3);
+      sentinel.delete("b");
+      sentinel.delete("missing");
+      sentinel.clear();
+      sentinel.clear();
+      expect(mutationHandler.mock.calls.map(call => call[0])).toEqual([
+        {
+          type: "mapSet",
+          target: map,
+          root: obj,
+          path: ["map", "c"],
+          blocked: false,
+          stack: expect.any(String),
+          callSite: expect.any(String),
+          occurrences: 1,
+          component: null,
+          action: null,
+          tags: {},
+          guard: null,
+          ambiguousPath: false,
+          key: "c",
+          value: 3,
+        },
+        {
+          type: "collectionDelete",
+          target: map,
+          root: obj,
+          path: ["map", "b"],
+          blocked: false,
+          stack: expect.any(String),
+          callSite: expect.any(String),
+          occurrences: 1,
+          component: null,
+          action: null,
+          tags: {},
+          guard: null,
+          ambiguousPath: false,
+          key: "b",
+        },
+        {
+          type: "collectionClear",
+          target: map,
+          root: obj,
+          path: ["map"],
+          blocked: false,
+          stack: expect.any(String),
+          callSite: expect.any(String),
+          occurrences: 1,
+          component: null,
+          action: null,
+          tags: {},
+          guard: null,
+          ambiguousPath: false,
+        },
+      ]);
+      expect(map.size).toBe(0);
+    });
+  });
+
+  it("wraps values read from a Map", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const key = {};
+      const map = new Map([["a", {}], [key, {}]]);
+      const sentinel = makeSentinel(map);
+      expect(sentinel.size).toBe(2);
+      expect(sentinel.has("a")).toBe(true);
+      (sentinel.get("a"): any).value = 1;
+      const values = Array.from(sentinel.values());
+      expect(values.every(isSentinel)).toBe(true);
+      const entries = Array.from(sentinel);
+      expect(entries.every(([k, v]) => isSentinel(v))).toBe(true);
+      const wrappedKey = entries[1][0];
+      expect(isSentinel(wrappedKey)).toBe(true);
+      // Sentinel keys are looked up by the object they wrap
+      expect(sentinel.get(wrappedKey)).toBe(values[1]);
+      sentinel.forEach((value, k, m) => {
+        expect(isSentinel(value)).toBe(true);
+        expect(m).toBe(sentinel);
+      });
+      values[1].value = 2;
+      expect(mutationHandler.mock.calls.map(call => call[0].path)).toEqual([
+        ["a", "value"],
+        ["[object]", "value"],
+      ]);
+    });
+  });
+
+  it("does not report setting a Map entry to the sentinel of its value", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const sentinel = makeSentinel(new Map([["a", {}]]));
+      sentinel.set("a", sentinel.get("a"));
+      expect(mutationHandler.mock.calls.length).toBe(0);
+    });
+  });
+
+  it("detects Set mutations", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const item = {};
+      const set = new Set([item]);
+      const sentinel = makeSentinel(set);
+      const itemSentinel = Array.from(sentinel)[0];
+      expect(isSentinel(itemSentinel)).toBe(true);
+      expect(sentinel.has(itemSentinel)).toBe(true);
+      sentinel.add(itemSentinel);
+      expect(set.size).toBe(1);
+      expect(sentinel.add(2)).toBe(sentinel);
+      sentinel.delete(itemSentinel);
+      sentinel.clear();
+      expect(mutationHandler.mock.calls.map(call => call[0])).toEqual([
+        {
+          type: "setAdd",
+          target: set,
+          root: set,
+          path: [],
+          blocked: false,
+          stack: expect.any(String),
+          callSite: expect.any(String),
+          occurrences: 1,
+          component: null,
+          action: null,
+          tags: {},
+          guard: null,
+          ambiguousPath: false,
+          value: 2,
+        },
+        {
+          type: "collectionDelete",
+          target: set,
+          root: set,
+          path: [],
+          blocked: false,
+          stack: expect.any(String),
+          callSite: expect.any(String),
+          occurrences: 1,
+          component: null,
+          action: null,
+          tags: {},
+          guard: null,
+          ambiguousPath: false,
+          key: item,
+        },
+        {
+          type: "collectionClear",
+          target: set,
+          root: set,
+          path: [],
+          blocked: false,
+          stack: expect.any(String),
+          callSite: expect.any(String),
+          occurrences: 1,
+          component: null,
+          action: null,
+          tags: {},
+          guard: null,
+          ambiguousPath: false,
+        },
+      ]);
+    });
+  });
+
+  it("detects WeakMap and WeakSet mutations", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const key = {};
+      const weakMap = makeSentinel(new WeakMap());
+      const weakSet = makeSentinel(new WeakSet());
+      weakMap.set(key, 1);
+      expect(weakMap.get(key)).toBe(1);
+      weakMap.delete(key);
+      weakSet.add(key);
+      expect(weakSet.has(key)).toBe(true);
+      expect(mutationHandler.mock.calls.map(call => call[0].type)).toEqual([
+        "mapSet",
+        "collectionDelete",
+        "setAdd",
+      ]);
+    });
+  });
+
+  it("detects Date mutations", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const date = new Date(0);
+      const sentinel = makeSentinel(date);
+      expect(sentinel.getTime()).toBe(0);
+      expect(sentinel.toISOString()).toBe(date.toISOString());
+      sentinel.setTime(0);
+      sentinel.setTime(1000);
+      expect(date.getTime()).toBe(1000);
+      expect(mutationHandler.mock.calls.map(call => call[0])).toEqual([
+        {
+          type: "dateSet",
+          target: date,
+          root: date,
+          path: [],
+          blocked: false,
+          stack: expect.any(String),
+          callSite: expect.any(String),
+          occurrences: 1,
+          component: null,
+          action: null,
+          tags: {},
+          guard: null,
+          ambiguousPath: false,
+          method: "setTime",
+          args: [1000],
+          value: 1000,
+        },
+      ]);
+    });
+  });
+});
+
+describe("array methods", () => {
+  it("reports a mutating method call as a single mutation", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const array = ["a"];
+      const sentinel = makeSentinel({array});
+      expect(sentinel.array.push("b", "c")).toBe(3);
+      expect(array).toEqual(["a", "b", "c"]);
+      expect(mutationHandler).toHaveBeenCalledTimes(1);
+      const mutation: any = mutationHandler.mock.calls[0][0];
+      expect(mutation).toMatchObject({
+        type: "arrayMethod",
+        target: array,
+        path: ["array"],
+        method: "push",
+        args: ["b", "c"],
+        lengthBefore: 1,
+        lengthAfter: 3,
+        blocked: false,
+      });
+      expect(mutation.children.map(child => child.path)).toEqual([
+        ["array", "1"],
+        ["array", "2"],
+      ]);
+    });
+  });
+
+  it("reports sort, splice and reverse", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const sentinel = makeSentinel([3, 1, 2]);
+      sentinel.sort();
+      sentinel.splice(1, 1);
+      sentinel.reverse();
+      expect(getOriginal(sentinel)).toEqual([3, 1]);
+      expect(
+        mutationHandler.mock.calls.map(([mutation]: any) => [
+          mutation.type,
+          mutation.method,
+          mutation.lengthBefore,
+          mutation.lengthAfter,
+        ])
+      ).toEqual([
+        ["arrayMethod", "sort", 3, 3],
+        ["arrayMethod", "splice", 3, 2],
+        ["arrayMethod", "reverse", 2, 2],
+      ]);
+    });
+  });
+
+  it("does not report calls that do not change the array", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const sentinel = makeSentinel([1, 2, 3]);
+      sentinel.sort();
+      sentinel.push();
+      sentinel.fill(1, 0, 1);
+      expect(mutationHandler).not.toHaveBeenCalled();
+    });
+  });
+
+  it("reports mutations of other objects made by callbacks", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const sentinel = makeSentinel({array: [2, 1], other: {}});
+      sentinel.array.sort((a, b) => {
+        sentinel.other.sorted = true;
+        return a - b;
+      });
+      expect(mutationHandler.mock.calls.map(call => call[0].type)).toEqual([
+        "set",
+        "arrayMethod",
+      ]);
+    });
+  });
+
+  it("does not wrap methods that do not mutate", () => {
+    const sentinel = makeSentinel([{}]);
+    expect(sentinel.map).toBe(Array.prototype.map);
+    expect(sentinel.map(isSentinel)).toEqual([true]);
+  });
+
+  it("blocks the method call if enforce is set", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler, enforce: "throw"}, () => {
+      const array = [1];
+      const sentinel = makeSentinel(array);
+      expect(catchError(() => sentinel.push(2))).toBeInstanceOf(TypeError);
+      expect(array).toEqual([1]);
+      expect(mutationHandler).toHaveBeenCalledTimes(1);
+      expect(mutationHandler.mock.calls[0][0]).toMatchObject({
+        type: "arrayMethod",
+        method: "push",
+        blocked: true,
+      });
+    });
+  });
+});
+
+describe("propagate", () => {
+  it("wraps the arrays returned by the methods it covers", () => {
+    const mutationHandler = jest.fn();
+    const sentinel: any = makeSentinel(
+      {shipments: [{id: 1}, {id: 2}]},
+      {mutationHandler, propagate: true}
+    );
+    const filtered = sentinel.shipments.filter(shipment => shipment.id > 1);
+    const ids = sentinel.shipments.map(shipment => ({id: shipment.id}));
+    expect(isSentinel(filtered)).toBe(true);
+    expect(isSentinel(ids)).toBe(true);
+    expect(isSentinel(sentinel.shipments.slice().concat([]))).toBe(true);
+
+    filtered.push({id: 3});
+    ids[0].id = 4;
+    expect(mutationHandler.mock.calls.map(call => call[0].path)).toEqual([
+      ["shipments", "filter()"],
+      ["shipments", "map()", "0", "id"],
+    ]);
+    expect(mutationHandler.mock.calls[0][0].root).toBe(getOriginal(sentinel));
+  });
+
+  it("only covers the given methods", () => {
+    withSentinelConfig({propagate: ["filter", "push", "unknown"]}, () => {
+      expect(getSentinelConfig().propagate).toEqual(["filter"]);
+      const sentinel = makeSentinel([1, 2]);
+      expect(isSentinel(sentinel.filter(() => true))).toBe(true);
+      expect(isSentinel(sentinel.slice())).toBe(false);
+      expect(sentinel.slice).toBe(Array.prototype.slice);
+    });
+  });
+
+  it("uses the global option for sentinels without their own", () => {
+    withSentinelConfig({propagate: true}, () => {
+      expect(isSentinel(makeSentinel([]).slice())).toBe(true);
+      expect(isSentinel(makeSentinel([], {propagate: false}).slice())).toBe(
+        false
+      );
+    });
+    expect(getSentinelConfig().propagate).toEqual([]);
+  });
+});
+
+describe("freeze, seal and preventExtensions", () => {
+  it("reports Object.freeze as a single mutation", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const obj = {a: 1, b: {}};
+      const sentinel = makeSentinel({obj});
+      Object.freeze(sentinel.obj);
+      expect(Object.isFrozen(obj)).toBe(true);
+      expect(mutationHandler).toHaveBeenCalledTimes(1);
+      expect(mutationHandler.mock.calls[0][0]).toMatchObject({
+        type: "freeze",
+        target: obj,
+        path: ["obj"],
+        callSite: expect.stringContaining("index-test.js"),
+      });
+    });
+  });
+
+  it("reports Object.seal and Object.preventExtensions", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const sealed = {a: 1};
+      Object.seal(makeSentinel(sealed));
+      const locked = {a: 1};
+      Object.preventExtensions(makeSentinel(locked));
+      Reflect.preventExtensions(makeSentinel({}));
+      expect(Object.isSealed(sealed)).toBe(true);
+      expect(Object.isExtensible(locked)).toBe(false);
+      expect(mutationHandler.mock.calls.map(call => call[0].type)).toEqual([
+        "seal",
+        "preventExtensions",
+        "preventExtensions",
+      ]);
+    });
+  });
+
+  it("does not report objects that are already locked", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const sentinel = makeSentinel(Object.freeze({a: 1}));
+      Object.freeze(sentinel);
+      Object.seal(sentinel);
+      Object.preventExtensions(sentinel);
+      expect(mutationHandler).not.toHaveBeenCalled();
+    });
+  });
+
+  it("reports freezing a sealed object", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const sentinel = makeSentinel(Object.seal({a: 1}));
+      Object.freeze(sentinel);
+      expect(mutationHandler.mock.calls.map(call => call[0].type)).toEqual([
+        "freeze",
+      ]);
+    });
+  });
+
+  it("reports defineProperty calls outside of freeze and seal", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const sentinel = makeSentinel(Object.seal({a: 1, b: 2}));
+      Object.defineProperty(sentinel, "a", ({configurable: false}: any));
+      expect(mutationHandler.mock.calls.map(call => call[0].type)).toEqual([
+        "defineProperty",
+      ]);
+    });
+  });
+
+  it("refuses to lock the object if enforce is set", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler, enforce: "ignore"}, () => {
+      const obj = {a: 1};
+      const sentinel = makeSentinel(obj);
+      expect(catchError(() => Object.freeze(sentinel))).toBeInstanceOf(
+        TypeError
+      );
+      expect(
+        catchError(() => Object.preventExtensions(sentinel))
+      ).toBeInstanceOf(TypeError);
+      expect(Object.isExtensible(obj)).toBe(true);
+      expect(mutationHandler.mock.calls.map(call => call[0].blocked)).toEqual([
+        true,
+        true,
+      ]);
+    });
+  });
+});
+
+describe("host and internal-slot objects", () => {
+  it("does not wrap objects with internal slots", () => {
+    const values = [
+      new Uint8Array(2),
+      new ArrayBuffer(2),
+      new DataView(new ArrayBuffer(2)),
+      /a/,
+      Promise.resolve(),
+      Buffer.from("a"),
+    ];
+    values.forEach(value => {
+      expect(isSentinel(makeSentinel(value))).toBe(false);
+    });
+    const sentinel = makeSentinel({regExp: /a/, bytes: new Uint8Array(2)});
+    expect(sentinel.regExp.test("a")).toBe(true);
+    expect(isSentinel(sentinel.bytes)).toBe(false);
+  });
+
+  it("does not wrap objects with internal slots from shouldIgnore", () => {
+    withUpdatedSentinelOpts({shouldIgnore: () => false}, () => {
+      expect(isSentinel(makeSentinel(/a/))).toBe(false);
+    });
+  });
+
+  it("ignores host objects by default", () => {
+    const values = [
+      new Blob(["a"]),
+      new File(["a"], "a.txt"),
+      document.createElement("div"),
+      new Event("click"),
+      new FormData(),
+    ];
+    values.forEach(value => {
+      expect(ignoreHostObjects(value)).toBe(true);
+      expect(isSentinel(makeSentinel(value))).toBe(false);
+    });
+    expect(ignoreHostObjects({})).toBe(false);
+    expect(ignoreHostObjects(null)).toBe(false);
+    expect(isSentinel(makeSentinel({}))).toBe(true);
+  });
+
+  it("only ignores host objects if shouldIgnore does", () => {
+    const div = document.createElement("div");
+    withUpdatedSentinelOpts({shouldIgnore: () => false}, () => {
+      expect(isSentinel(makeSentinel(div))).toBe(true);
+    });
+    const shouldIgnore = value =>
+      ignoreHostObjects(value) || Array.isArray(value);
+    withUpdatedSentinelOpts({shouldIgnore}, () => {
+      expect(isSentinel(makeSentinel(div))).toBe(false);
+      expect(isSentinel(makeSentinel([]))).toBe(false);
+    });
+  });
+});
+
+describe("per-sentinel options", () => {
+  it("reports mutations to the handler of the sentinel", () => {
+    const globalHandler = jest.fn();
+    const sentinelHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler: globalHandler}, () => {
+      const obj = {nested: {}};
+      const sentinel = makeSentinel(obj, {
+        label: "shipments",
+        mutationHandler: sentinelHandler,
+      });
+      sentinel.nested.a = 1;
+      makeSentinel({}).a = 1;
+      expect(sentinelHandler.mock.calls.length).toBe(1);
+      expect(sentinelHandler.mock.calls[0][0]).toEqual({
+        type: "set",
+        target: obj.nested,
+        root: obj,
+        path: ["nested", "a"],
+        blocked: false,
+        stack: expect.any(String),
+        callSite: expect.any(String),
+        occurrences: 1,
+        component: null,
+        action: null,
+        tags: {},
+        guard: null,
+        ambiguousPath: false,
+        label: "shipments",
+        property: "a",
+        value: 1,
+      });
+      expect(globalHandler.mock.calls.length).toBe(1);
+      expect(globalHandler.mock.calls[0][0].label).toBeUndefined();
+    });
+  });
+
+  it("uses the shouldIgnore of the sentinel for nested objects", () => {
+    const globalShouldIgnore = jest.fn(() => false);
+    withUpdatedSentinelOpts({shouldIgnore: globalShouldIgnore}, () => {
+      const obj = {nested: {skip: true}};
+      const shouldIgnore = value =>
+        value != null && typeof value === "object" && !!value.skip;
+      const sentinel = makeSentinel(obj, {shouldIgnore});
+      expect(sentinel).not.toBe(obj);
+      expect(sentinel.nested).toBe(obj.nested);
+      expect(globalShouldIgnore.mock.calls.length).toBe(0);
+    });
+  });
+
+  it("falls back to the global options", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const sentinel = makeSentinel({}, {label: "quotes"});
+      sentinel.a = 1;
+      expect(mutationHandler.mock.calls.length).toBe(1);
+      expect(mutationHandler.mock.calls[0][0].label).toBe("quotes");
+    });
+  });
+
+  it("uses the options of the root an object was last reached through", () => {
+    const handlerA = jest.fn();
+    const handlerB = jest.fn();
+    const shared = {};
+    const rootA = makeSentinel({shared}, {mutationHandler: handlerA});
+    const rootB = makeSentinel({shared}, {mutationHandler: handlerB});
+    expect(rootA.shared).toBe(rootB.shared);
+    rootA.shared.a = 1;
+    rootB.shared.b = 1;
+    expect(handlerA.mock.calls.length).toBe(1);
+    expect(handlerA.mock.calls[0][0].path).toEqual(["shared", "a"]);
+    expect(handlerB.mock.calls.length).toBe(1);
+    expect(handlerB.mock.calls[0][0].path).toEqual(["shared", "b"]);
+  });
+
+  it("uses the options of the latest makeSentinel call for a root", () => {
+    const handlerA = jest.fn();
+    const handlerB = jest.fn();
+    const obj = {};
+    const sentinel = makeSentinel(obj, {mutationHandler: handlerA});
+    expect(makeSentinel(obj, {mutationHandler: handlerB})).toBe(sentinel);
+    sentinel.a = 1;
+    expect(handlerA.mock.calls.length).toBe(0);
+    expect(handlerB.mock.calls.length).toBe(1);
+  });
+
+  it("keeps the root and options of a sentinel passed to makeSentinel", () => {
+    const mutationHandler = jest.fn();
+    const otherHandler = jest.fn();
+    const store: any = makeSentinel(
+      {records: [{}]},
+      {label: "store", enforce: "throw", mutationHandler}
+    );
+    const record = store.records[0];
+    expect(
+      makeSentinel(record, {label: "other", mutationHandler: otherHandler})
+    ).toBe(record);
+    expect(catchError(() => (record.a = 1))).toBeInstanceOf(TypeError);
+    expect(otherHandler).not.toHaveBeenCalled();
+    expect(mutationHandler.mock.calls[0][0].label).toBe("store");
+    expect(mutationHandler.mock.calls[0][0].path).toEqual([
+      "records",
+      "0",
+      "a",
+    ]);
+  });
+
+  it("does not weaken enforce when an object is made a root again", () => {
+    const mutationHandler = jest.fn();
+    const obj = {};
+    const sentinel: any = makeSentinel(obj, {
+      mutationHandler: () => {},
+      enforce: "throw",
+    });
+    makeSentinel(obj, {mutationHandler, enforce: false});
+    expect(catchError(() => (sentinel.a = 1))).toBeInstanceOf(TypeError);
+    expect(mutationHandler.mock.calls[0][0].blocked).toBe(true);
+    expect(obj).toEqual({});
+  });
+
+  it("ignores options with the wrong type", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const opts: any = {label: 1, mutationHandler: 1, shouldIgnore: 1};
+      const sentinel = makeSentinel({}, opts);
+      sentinel.a = 1;
+      expect(mutationHandler.mock.calls.length).toBe(1);
+      expect(mutationHandler.mock.calls[0][0].label).toBeUndefined();
+    });
+  });
+});
+
+describe("enforce", () => {
+  it("refuses writes with a TypeError", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler, enforce: "throw"}, () => {
+      const obj = {a: 1, b: 1};
+      const sentinel: any = makeSentinel(obj);
+      expect(catchError(() => (sentinel.a = 2))).toBeInstanceOf(TypeError);
+      expect(catchError(() => delete sentinel.b)).toBeInstanceOf(TypeError);
+      expect(
+        catchError(() => Object.defineProperty(sentinel, "c", {value: 1}))
+      ).toBeInstanceOf(TypeError);
+      expect(
+        catchError(() => Object.setPrototypeOf(sentinel, null))
+      ).toBeInstanceOf(TypeError);
+      expect(Reflect.set(sentinel, "a", 2)).toBe(false);
+      expect(obj).toEqual({a: 1, b: 1});
+      expect(Object.getPrototypeOf(obj)).toBe(Object.prototype);
+      expect(mutationHandler.mock.calls.length).toBe(5);
+      expect(mutationHandler.mock.calls[0][0]).toEqual({
+        type: "set",
+        target: obj,
+        root: obj,
+        path: ["a"],
+        blocked: true,
+        stack: expect.any(String),
+        callSite: expect.any(String),
+        occurrences: 1,
+        component: null,
+        action: null,
+        tags: {},
+        guard: null,
+        ambiguousPath: false,
+        property: "a",
+        value: 2,
+      });
+    });
+  });
+
+  it("silently ignores writes", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler, enforce: "ignore"}, () => {
+      const obj = {a: 1, b: 1};
+      const sentinel: any = makeSentinel(obj);
+      sentinel.a = 2;
+      delete sentinel.b;
+      Object.defineProperty(sentinel, "c", {configurable: true, value: 1});
+      Object.setPrototypeOf(sentinel, null);
+      expect(obj).toEqual({a: 1, b: 1});
+      expect(Object.getPrototypeOf(obj)).toBe(Object.prototype);
+      expect(mutationHandler.mock.calls.map(call => call[0].blocked)).toEqual([
+        true,
+        true,
+        true,
+        true,
+      ]);
+    });
+  });
+
+  it("refuses ignored writes that the proxy invariants do not allow", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler, enforce: "ignore"}, () => {
+      const obj = {};
+      Object.defineProperty(obj, "readonly", {value: 1});
+      Object.defineProperty(obj, "nonConfigurable", {
+        value: 1,
+        writable: true,
+      });
+      const sentinel: any = makeSentinel(obj);
+      expect(catchError(() => (sentinel.readonly = 2))).toBeInstanceOf(
+        TypeError
+      );
+      expect(catchError(() => delete sentinel.nonConfigurable)).toBeInstanceOf(
+        TypeError
+      );
+      expect(
+        catchError(() =>
+          Object.defineProperty(sentinel, "a", {configurable: false, value: 1})
+        )
+      ).toBeInstanceOf(TypeError);
+      // Assigning a writable property can still be ignored
+      sentinel.nonConfigurable = 2;
+      expect(obj.nonConfigurable).toBe(1);
+      Object.preventExtensions(obj);
+      expect(
+        catchError(() => Object.setPrototypeOf(sentinel, null))
+      ).toBeInstanceOf(TypeError);
+      expect(
+        catchError(() => Object.defineProperty(sentinel, "b", {value: 1}))
+      ).toBeInstanceOf(TypeError);
+      expect(mutationHandler.mock.calls.length).toBe(6);
+    });
+  });
+
+  it("allows writes that are not mutations", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler, enforce: "throw"}, () => {
+      const obj = {a: 1, nested: {}};
+      const sentinel: any = makeSentinel(obj);
+      sentinel.a = 1;
+      sentinel.nested = sentinel.nested;
+      expect(mutationHandler.mock.calls.length).toBe(0);
+    });
+  });
+
+  it("uses the enforce option of the sentinel", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler, enforce: "throw"}, () => {
+      const obj = {nested: {}};
+      const sentinel = makeSentinel(obj, {enforce: false});
+      sentinel.nested.a = 1;
+      expect(obj.nested).toEqual({a: 1});
+      expect(mutationHandler.mock.calls[0][0].blocked).toBe(false);
+    });
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      const sentinel: any = makeSentinel({}, {enforce: "throw"});
+      expect(catchError(() => (sentinel.a = 1))).toBeInstanceOf(TypeError);
+    });
+  });
+
+  it("ignores enforce if it is not a valid option", () => {
+    withUpdatedSentinelOpts({enforce: ("yes": any)}, () => {
+      expect(_globalOpts.enforce).toBe(false);
+    });
+  });
+
+  it("refuses mutations of built-in collections", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler, enforce: "throw"}, () => {
+      const map = new Map([["a", 1]]);
+      const sentinel = makeSentinel(map);
+      expect(() => sentinel.set("b", 2)).toThrow(
+        "Mutation blocked by a sentinel: set()"
+      );
+      expect(catchError(() => sentinel.clear())).toBeInstanceOf(TypeError);
+      expect(map.size).toBe(1);
+    });
+    withUpdatedSentinelOpts({mutationHandler, enforce: "ignore"}, () => {
+      const set = new Set([1]);
+      const sentinel = makeSentinel(set);
+      expect(sentinel.add(2)).toBe(sentinel);
+      expect(sentinel.delete(1)).toBe(false);
+      const date = new Date(0);
+      expect(makeSentinel(date).setTime(1)).toBe(0);
+      expect(Array.from(set)).toEqual([1]);
+      expect(date.getTime()).toBe(0);
+    });
+  });
+});
+
+describe("dedupe", () => {
+  let now = 0;
+  let nowSpy;
+  beforeEach(() => {
+    now = 0;
+    nowSpy = jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+  afterEach(() => {
+    nowSpy.mockRestore();
+    flushMutationReports();
+  });
+
+  function setValues(sentinel: any, count: number) {
+    for (let i = 0; i < count; i++) {
+      sentinel.value = i + 1;
+    }
+  }
+
+  it("passes the stack and call site of each mutation", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      makeSentinel({}).value = 1;
+      const mutation = mutationHandler.mock.calls[0][0];
+      expect(mutation.stack).toEqual(expect.stringContaining("index-test.js"));
+      expect(mutation.callSite).toEqual(
+        expect.stringContaining("index-test.js")
+      );
+      expect(mutation.callSite).not.toContain("makeSentinel.js");
+      expect(mutation.occurrences).toBe(1);
+    });
+  });
+
+  it("does not deduplicate by default", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler}, () => {
+      setValues(makeSentinel({}), 3);
+      expect(mutationHandler).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  it("reports each call site once per window", () => {
+    const mutationHandler = jest.fn();
+    const dedupe = {windowMs: 1000};
+    withUpdatedSentinelOpts({mutationHandler, dedupe}, () => {
+      const sentinel = makeSentinel({});
+      setValues(sentinel, 5);
+      expect(mutationHandler).toHaveBeenCalledTimes(1);
+      sentinel.other = 1;
+      expect(mutationHandler).toHaveBeenCalledTimes(2);
+      now = 999;
+      setValues(sentinel, 1);
+      expect(mutationHandler).toHaveBeenCalledTimes(2);
+      now = 1000;
+      setValues(sentinel, 2);
+      expect(mutationHandler).toHaveBeenCalledTimes(3);
+      expect(
+        mutationHandler.mock.calls.map(call => call[0].occurrences)
+      ).toEqual([1, 1, 6]);
+    });
+  });
+
+  it("reports up to maxReportsPerSite mutations per window", () => {
+    const mutationHandler = jest.fn();
+    const dedupe = {windowMs: 1000, maxReportsPerSite: 2};
+    withUpdatedSentinelOpts({mutationHandler, dedupe}, () => {
+      setValues(makeSentinel({}), 5);
+      expect(
+        mutationHandler.mock.calls.map(call => (call[0]: any).value)
+      ).toEqual([1, 2]);
+    });
+  });
+
+  it("still enforces held back mutations", () => {
+    const mutationHandler = jest.fn();
+    const dedupe = {windowMs: 1000};
+    const opts = {mutationHandler, dedupe, enforce: "ignore"};
+    withUpdatedSentinelOpts(opts, () => {
+      const obj = {};
+      setValues(makeSentinel(obj), 3);
+      expect(obj).toEqual({});
+      expect(mutationHandler).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it("reports held back mutations when they are flushed", () => {
+    const mutationHandler = jest.fn();
+    withUpdatedSentinelOpts({mutationHandler, dedupe: true}, () => {
+      setValues(makeSentinel({}), 4);
+      expect(mutationHandler).toHaveBeenCalledTimes(1);
+      flushMutationReports();
+      expect(mutationHandler).toHaveBeenCalledTimes(2);
+      const mutation: any = mutationHandler.mock.calls[1][0];
+      expect(mutation.value).toBe(4);
+      expect(mutation.occurrences).toBe(3);
+      flushMutationReports();
+      expect(mutationHandler).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  it("normalizes the dedupe option", () => {
+    withUpdatedSentinelOpts({dedupe: true}, () => {
+      expect(_globalOpts.dedupe).toEqual({
+        windowMs: 60000,
+        maxReportsPerSite: 1,
+      });
+    });
+    withUpdatedSentinelOpts({dedupe: {maxReportsPerSite: (-1: any)}}, () => {
+      expect(_globalOpts.dedupe).toEqual({
+        windowMs: 60000,
+        maxReportsPerSite: 1,
+      });
+    });
+    withUpdatedSentinelOpts({dedupe: (1: any)}, () => {
+      expect(_globalOpts.dedupe).toBe(false);
+    });
+  });
+});
+
+describe("createMutationRecorder", () => {
+  let now = 0;
+  let nowSpy;
+  beforeEach(() => {
+    now = 0;
+    nowSpy = jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+  afterEach(() => {
+    nowSpy.mockRestore();
+  });
+
+  function setValue(sentinel: any, value: mixed) {
+    sentinel.value = value;
+  }
+
+  it("groups mutations by type, label, path and call site", () => {
+    const recorder = createMutationRecorder();
+    const sentinel = makeSentinel(
+      {},
+      {label: "store", mutationHandler: recorder}
+    );
+    setValue(sentinel, 1);
+    now = 1000;
+    setValue(sentinel, 2);
+    delete sentinel.value;
+    sentinel.value = 3;
+    expect(recorder.getReport()).toEqual({
+      mutations: [
+        {
+          type: "deleteProperty",
+          label: "store",
+          path: ["value"],
+          callSite: expect.stringContaining("index-test.js"),
+          count: 1,
+          firstSeen: "1970-01-01T00:00:01.000Z",
+          lastSeen: "1970-01-01T00:00:01.000Z",
+        },
+        {
+          type: "set",
+          label: "store",
+          path: ["value"],
+          callSite: expect.stringContaining("index-test.js"),
+          count: 1,
+          firstSeen: "1970-01-01T00:00:01.000Z",
+          lastSeen: "1970-01-01T00:00:01.000Z",
+        },
+        {
+          type: "set",
+          label: "store",
+          path: ["value"],
+          callSite: expect.stringContaining("index-test.js"),
+          count: 2,
+          firstSeen: "1970-01-01T00:00:00.000Z",
+          lastSeen: "1970-01-01T00:00:01.000Z",
+        },
+      ],
+    });
+  });
+
+  it("exports a stable JSON report", () => {
+    const first = createMutationRecorder();
+    const second = createMutationRecorder();
+    const mutate = (recorder, label) => {
+      const sentinel: any = makeSentinel(
+        {a: {}, b: {}},
+        {label, mutationHandler: recorder}
+      );
+      sentinel.b.value = 1;
+      sentinel.a.value = 1;
+    };
+    mutate(first, "x");
+    mutate(first, undefined);
+    mutate(second, undefined);
+    mutate(second, "x");
+    expect(JSON.stringify(first)).toBe(JSON.stringify(second));
+    expect(first.getReport().mutations.map(entry => entry.label)).toEqual([
+      null,
+      "x",
+      null,
+      "x",
+    ]);
+  });
+
+  it("converts symbols in paths to strings", () => {
+    const recorder = createMutationRecorder();
+    const cache = Symbol("cache");
+    const sentinel: any = makeSentinel(
+      {records: {}},
+      {mutationHandler: recorder}
+    );
+    sentinel.records[cache] = {};
+    sentinel.records.value = 1;
+    expect(recorder.getReport().mutations.map(entry => entry.path)).toEqual([
+      ["records", "Symbol(cache)"],
+      ["records", "value"],
+    ]);
+    expect(JSON.parse(JSON.stringify(recorder)).mutations[0].path).toEqual([
+      "records",
+      "Symbol(cache)",
+    ]);
+  });
+
+  it("counts the occurrences of deduplicated mutations", () => {
+    const recorder = createMutationRecorder();
+    withUpdatedSentinelOpts({mutationHandler: recorder, dedupe: true}, () => {
+      const sentinel = makeSentinel({});
+      for (let i = 0; i < 3; i++) {
+        setValue(sentinel, i + 1);
+      }
+      flushMutationReports();
+    });
+    expect(recorder.getReport().mutations.map(entry => entry.count)).toEqual([
+      3,
+    ]);
+  });
+
+  it("forgets the recorded mutations when it is cleared", () => {
+    const recorder = createMutationRecorder();
+    setValue(makeSentinel({}, {mutationHandler: recorder}), 1);
+    recorder.clear();
+    expect(recorder.getReport()).toEqual({mutations: []});
+  });
+});
+
+describe("sampling", () => {
+  beforeEach(() => {
+    resetSamplingStats();
+  });
+
+  it("wraps every object by default", () => {
+    const sampler = jest.fn();
+    withSentinelConfig({sampler}, () => {
+      expect(isSentinel(makeSentinel({}))).toBe(true);
+    });
+    expect(sampler).not.toHaveBeenCalled();
+    expect(getSamplingStats()).toEqual({sampledIn: 0, sampledOut: 0});
+  });
+
+  it("wraps the objects that are sampled in", () => {
+    const sampler = jest.fn((value: any) => value.id % 2 === 0);
+    withSentinelConfig({sampleRate: 0.5, sampler}, () => {
+      const sampledIn = {id: 2, nested: {id: 3}};
+      const sampledOut = {id: 3, nested: {id: 2}};
+      expect(isSentinel(makeSentinel(sampledIn))).toBe(true);
+      expect(isSentinel(makeSentinel(sampledIn).nested)).toBe(true);
+      expect(makeSentinel(sampledOut)).toBe(sampledOut);
+      expect(sampler.mock.calls).toEqual([[sampledIn, 0.5], [sampledOut, 0.5]]);
+    });
+    expect(getSamplingStats()).toEqual({sampledIn: 1, sampledOut: 1});
+  });
+
+  it("keeps the decision for each object", () => {
+    const obj = {};
+    withSentinelConfig({sampleRate: 0.5}, () => {
+      const sentinel = makeSentinel(obj);
+      for (let i = 0; i < 10; i++) {
+        expect(makeSentinel(obj)).toBe(sentinel);
+      }
+    });
+    expect(getSamplingStats().sampledIn + getSamplingStats().sampledOut).toBe(
+      1
+    );
+  });
+
+  it("does not sample sentinels", () => {
+    const sentinel = makeSentinel({});
+    withSentinelConfig({sampleRate: 0, sampler: () => false}, () => {
+      expect(makeSentinel(sentinel)).toBe(sentinel);
+    });
+    expect(getSamplingStats()).toEqual({sampledIn: 0, sampledOut: 0});
+  });
+
+  it("accepts a sampleRate for a single sentinel", () => {
+    const obj = {};
+    expect(makeSentinel(obj, {sampleRate: 0})).toBe(obj);
+    const sampler = () => false;
+    expect(isSentinel(makeSentinel({}, {sampleRate: 1, sampler}))).toBe(true);
+    expect(getSamplingStats()).toEqual({sampledIn: 0, sampledOut: 1});
+  });
+
+  it("counts each object once until the stats are reset", () => {
+    withSentinelConfig({sampleRate: 0.5, sampler: () => true}, () => {
+      const obj = {};
+      makeSentinel(obj);
+      makeSentinel(obj);
+      expect(getSamplingStats()).toEqual({sampledIn: 1, sampledOut: 0});
+      resetSamplingStats();
+      makeSentinel(obj);
+      expect(getSamplingStats()).toEqual({sampledIn: 0, sampledOut: 0});
+    });
+  });
+});
+
+describe("runWithSentinelContext", () => {
+  it("tags the mutations made by fn", () => {
+    const mutationHandler = jest.fn();
+    const sentinel: any = makeSentinel({}, {mutationHandler});
+    const result = runWithSentinelContext({route: "/shipments"}, () => {
+      sentinel.a = 1;
+      return "result";
+    });
+    sentinel.b = 2;
+    expect(result).toBe("result");
+    expect(mutationHandler.mock.calls.map(call => call[0].tags)).toEqual([
+      {route: "/shipments"},
+      {},
+    ]);
+  });
+
+  it("adds the tags of nested calls", () => {
+    const mutationHandler = jest.fn();
+    const sentinel: any = makeSentinel({}, {mutationHandler});
+    runWithSentinelContext({route: "/shipments", job: "render"}, () => {
+      runWithSentinelContext({job: "sync"}, () => {
+        sentinel.a = 1;
+      });
+      sentinel.b = 2;
+    });
+    expect(mutationHandler.mock.calls.map(call => call[0].tags)).toEqual([
+      {route: "/shipments", job: "sync"},
+      {route: "/shipments", job: "render"},
+    ]);
+  });
+
+  it("removes the tags if fn throws", () => {
+    const mutationHandler = jest.fn();
+    const sentinel: any = makeSentinel({}, {mutationHandler});
+    const error = new Error();
+    expect(
+      catchError(() =>
+        runWithSentinelContext({route: "/shipments"}, () => {
+          throw error;
+        })
+      )
+    ).toBe(error);
+    sentinel.a = 1;
+    expect(mutationHandler.mock.calls[0][0].tags).toEqual({});
+  });
+
+  it("keeps the tags after awaits", async () => {
+    const mutationHandler = jest.fn();
+    const sentinel: any = makeSentinel({}, {mutationHandler});
+    const promise = runWithSentinelContext({request: "1"}, async () => {
+      await Promise.resolve();
+      sentinel.a = 1;
+    });
+    sentinel.b = 2;
+    await promise;
+    // Without AsyncLocalStorage, which was added in Node.js 12.17, the tags
+    // are only kept until fn returns.
+    expect(mutationHandler.mock.calls.map(call => call[0].tags)).toEqual([
+      {},
+      hasAsyncLocalStorage ? {request: "1"} : {},
+    ]);
+  });
+
+  it("only keeps the tags until fn returns without AsyncLocalStorage", () => {
+    const storage = createSyncContextStorage();
+    expect(storage.run("store", () => storage.getStore())).toBe("store");
+    expect(storage.getStore()).toBeUndefined();
+  });
+});
+
+describe("ignoreMutations", () => {
+  it("skips mutations of the properties with the given names", () => {
+    const mutationHandler = jest.fn();
+    const memo = Symbol("memo");
+    const sentinel: any = makeSentinel(
+      {records: [{_cache: {}, id: 1}]},
+      {mutationHandler, enforce: "throw", ignoreMutations: ["_cache", memo]}
+    );
+    const record = sentinel.records[0];
+    record._cache.total = 1;
+    record._cache = {};
+    record[memo] = 1;
+    delete record._cache;
+    expect(mutationHandler).not.toHaveBeenCalled();
+    expect(getOriginal(record)).toEqual({id: 1});
+    expect(getOriginal(record)[memo]).toBe(1);
+    expect(catchError(() => (record.id = 2))).toBeInstanceOf(TypeError);
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+  });
+
+  it("skips mutations that match path patterns", () => {
+    const mutationHandler = jest.fn();
+    const sentinel: any = makeSentinel(
+      {shipments: [{ui: {}, id: 1}], form: {}, cache: new Map()},
+      {
+        mutationHandler,
+        ignoreMutations: ["shipments.*.ui.*", "form.draft*", "cache.**"],
+      }
+    );
+    sentinel.shipments[0].ui.expanded = true;
+    sentinel.form.draftName = "Oakland";
+    sentinel.cache.set("a", 1);
+    sentinel.cache.clear();
+    expect(mutationHandler).not.toHaveBeenCalled();
+
+    sentinel.shipments[0].ui = {};
+    sentinel.shipments[0].id = 2;
+    sentinel.form.name = "Oakland";
+    expect(mutationHandler.mock.calls.map(call => call[0].path)).toEqual([
+      ["shipments", "0", "ui"],
+      ["shipments", "0", "id"],
+      ["form", "name"],
+    ]);
+  });
+
+  it("skips the writes of array methods that match", () => {
+    const mutationHandler = jest.fn();
+    const sentinel: any = makeSentinel(
+      {list: [3, 1, 2], ui: {selected: []}},
+      {mutationHandler, ignoreMutations: ["list.0", "ui"]}
+    );
+    sentinel.ui.selected.push(1);
+    sentinel.list.fill(0, 0, 1);
+    expect(mutationHandler).not.toHaveBeenCalled();
+    sentinel.list.reverse();
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    const mutation: any = mutationHandler.mock.calls[0][0];
+    expect(mutation.method).toBe("reverse");
+    expect(mutation.children.map(child => child.path)).toEqual([["list", "2"]]);
+  });
+
+  it("uses the global option for sentinels without their own", () => {
+    const mutationHandler = jest.fn();
+    withSentinelConfig({mutationHandler, ignoreMutations: ["__memo"]}, () => {
+      expect(getSentinelConfig().ignoreMutations).toEqual(["__memo"]);
+      const sentinel: any = makeSentinel({});
+      sentinel.__memo = {};
+      expect(mutationHandler).not.toHaveBeenCalled();
+
+      const other: any = makeSentinel({}, {ignoreMutations: ["_cache"]});
+      other._cache = {};
+      other.__memo = {};
+      expect(mutationHandler).toHaveBeenCalledTimes(1);
+    });
+    expect(getSentinelConfig().ignoreMutations).toEqual([]);
+  });
+
+  it("skips entries that are not patterns", () => {
+    withSentinelConfig({ignoreMutations: (["a", 1, null]: any)}, () => {
+      expect(getSentinelConfig().ignoreMutations).toEqual(["a"]);
+    });
+  });
+});
+
+describe("pauseSentinels", () => {
+  it("lets mutations through without reporting them", () => {
+    const mutationHandler = jest.fn();
+    const obj = {a: {b: 1}, list: [1]};
+    const sentinel: any = makeSentinel(obj, {
+      mutationHandler,
+      enforce: "throw",
+    });
+    pauseSentinels();
+    sentinel.a.b = 2;
+    sentinel.list.push(2);
+    delete sentinel.a;
+    resumeSentinels();
+    expect(obj).toEqual({list: [1, 2]});
+    expect(mutationHandler).not.toHaveBeenCalled();
+    expect(
+      catchError(() => {
+        sentinel.c = 1;
+      })
+    ).toBeInstanceOf(TypeError);
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+  });
+
+  it("resumes when every nested pause is resumed", () => {
+    const mutationHandler = jest.fn();
+    const sentinel: any = makeSentinel({}, {mutationHandler});
+    pauseSentinels();
+    pauseSentinels();
+    resumeSentinels();
+    sentinel.a = 1;
+    resumeSentinels();
+    sentinel.b = 2;
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    expect(mutationHandler.mock.calls[0][0].path).toEqual(["b"]);
+  });
+
+  it("throws if the sentinels are not paused", () => {
+    expect(() => resumeSentinels()).toThrow(
+      "resumeSentinels() was called without pauseSentinels()"
+    );
+  });
+
+  it("passes the mutations to the audit handlers of all active pauses", () => {
+    const outerAudit = jest.fn();
+    const innerAudit = jest.fn();
+    const sentinel: any = makeSentinel({list: []}, {enforce: "throw"});
+    pauseSentinels({audit: outerAudit});
+    sentinel.a = 1;
+    pauseSentinels({audit: innerAudit});
+    sentinel.list.push(1);
+    resumeSentinels();
+    resumeSentinels();
+    expect(outerAudit).toHaveBeenCalledTimes(2);
+    expect(innerAudit).toHaveBeenCalledTimes(1);
+    const push: any = innerAudit.mock.calls[0][0];
+    expect(push).toBe(outerAudit.mock.calls[1][0]);
+    expect(push.type).toBe("arrayMethod");
+    expect(push.path).toEqual(["list"]);
+    expect(push.blocked).toBe(false);
+    expect(push.children).toHaveLength(1);
+  });
+
+  it("does not let mutations of immutable values through", () => {
+    const audit = jest.fn();
+    const mutationHandler = jest.fn();
+    const map = makeImmutable(new Map(), {mutationHandler});
+    pauseSentinels({audit});
+    try {
+      expect(() => map.set("a", 1)).toThrow(
+        "Mutation blocked by a sentinel: set()"
+      );
+    } finally {
+      resumeSentinels();
+    }
+    expect(audit).not.toHaveBeenCalled();
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("runUnguarded", () => {
+  it("pauses the sentinels while fn runs", () => {
+    const mutationHandler = jest.fn();
+    const audit = jest.fn();
+    const sentinel: any = makeSentinel({}, {mutationHandler});
+    const result = runUnguarded(
+      () => {
+        sentinel.a = 1;
+        return "result";
+      },
+      {audit}
+    );
+    sentinel.b = 2;
+    expect(result).toBe("result");
+    expect(audit).toHaveBeenCalledTimes(1);
+    expect(audit.mock.calls[0][0].path).toEqual(["a"]);
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    expect(mutationHandler.mock.calls[0][0].path).toEqual(["b"]);
+  });
+
+  it("resumes the sentinels if fn throws", () => {
+    const mutationHandler = jest.fn();
+    const sentinel: any = makeSentinel({}, {mutationHandler});
+    const error = new Error();
+    expect(
+      catchError(() =>
+        runUnguarded(() => {
+          throw error;
+        })
+      )
+    ).toBe(error);
+    sentinel.a = 1;
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+  });
+
+  it("keeps the pauses around it", () => {
+    const mutationHandler = jest.fn();
+    const sentinel: any = makeSentinel({}, {mutationHandler});
+    pauseSentinels();
+    runUnguarded(() => {});
+    sentinel.a = 1;
+    resumeSentinels();
+    expect(mutationHandler).not.toHaveBeenCalled();
+  });
+
+  it("is not resumed by resumeSentinels", () => {
+    const mutationHandler = jest.fn();
+    const sentinel: any = makeSentinel({}, {mutationHandler});
+    pauseSentinels();
+    runUnguarded(() => {
+      resumeSentinels();
+      sentinel.a = 1;
+    });
+    sentinel.b = 2;
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    expect(mutationHandler.mock.calls[0][0].path).toEqual(["b"]);
+    expect(() => runUnguarded(() => resumeSentinels())).toThrow(
+      "resumeSentinels() was called without pauseSentinels()"
+    );
+  });
+});
+
+describe("trackReads", () => {
+  it("returns the paths that fn read", () => {
+    const store: any = {
+      shipments: [{id: 1, name: "Oakland", ports: ["SFO"]}],
+      user: {id: 2},
+    };
+    const paths = trackReads(store, value => {
+      value.shipments[0].name.toUpperCase();
+      value.shipments[0].name.toLowerCase();
+      expect("ports" in value.shipments[0]).toBe(true);
+      expect(value.user.email).toBeUndefined();
+      value.shipments[0].ports.map(port => port);
+    });
+    expect(paths).toEqual([
+      ["shipments"],
+      ["shipments", "0"],
+      ["shipments", "0", "name"],
+      ["shipments", "0", "ports"],
+      ["user"],
+      ["user", "email"],
+      ["shipments", "0", "ports", "length"],
+      ["shipments", "0", "ports", "0"],
+    ]);
+  });
+
+  it("records listing the keys of an object", () => {
+    const paths = trackReads({user: {id: 1, name: "Dan"}}, value => {
+      Object.keys(value.user);
+    });
+    expect(paths).toEqual([["user"], ["user", "[[OwnKeys]]"]]);
+  });
+
+  it("records the keys of Map entries that are looked up", () => {
+    const paths = trackReads(
+      {byId: new Map([[1, {name: "Oakland"}]])},
+      (value: any) => {
+        value.byId.get(1).name;
+        value.byId.has(2);
+      }
+    );
+    expect(paths).toEqual([
+      ["byId"],
+      ["byId", "1"],
+      ["byId", "1", "name"],
+      ["byId", "2"],
+    ]);
+  });
+
+  it("only records reads while fn runs", () => {
+    let sentinel: any = null;
+    const paths = trackReads({a: 1}, value => {
+      sentinel = value;
+    });
+    sentinel.a;
+    expect(paths).toEqual([]);
+  });
+
+  it("records paths relative to a nested sentinel", () => {
+    const mutationHandler = jest.fn();
+    const root: any = makeSentinel(
+      {shipment: {ports: [{code: "SFO"}]}},
+      {mutationHandler}
+    );
+    const other = trackReads({ports: []}, value => value.ports);
+    const paths = trackReads(root.shipment, shipment => {
+      shipment.ports[0].code;
+      shipment.ports[0].code = "OAK";
+    });
+    expect(other).toEqual([["ports"]]);
+    expect(paths).toEqual([["ports"], ["ports", "0"], ["ports", "0", "code"]]);
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    expect(mutationHandler.mock.calls[0][0].path).toEqual([
+      "shipment",
+      "ports",
+      "0",
+      "code",
+    ]);
+  });
+
+  it("calls fn with values that can't be wrapped", () => {
+    const fn = jest.fn();
+    expect(trackReads(1, fn)).toEqual([]);
+    expect(fn).toHaveBeenCalledWith(1);
+  });
+});
+
+describe("guardPure", () => {
+  it("reports mutations of the arguments with the function", () => {
+    const mutationHandler = jest.fn();
+    const selectTotals = guardPure(function selectTotals(state, props) {
+      props.seen = true;
+      state.shipments.sort();
+      return state.shipments.length;
+    });
+    expect(selectTotals.name).toBe("selectTotals");
+    expect(selectTotals.length).toBe(2);
+    withSentinelConfig({mutationHandler}, () => {
+      expect(selectTotals({shipments: [2, 1]}, {})).toBe(2);
+    });
+    expect(
+      mutationHandler.mock.calls.map(call => [call[0].path, call[0].guard])
+    ).toEqual([
+      [["seen"], {name: "selectTotals", argument: 1}],
+      [["shipments"], {name: "selectTotals", argument: 0}],
+    ]);
+  });
+
+  it("does not return sentinels for arguments passed unwrapped", () => {
+    const select = guardPure((state: any) => ({
+      state,
+      first: state.shipments[0],
+    }));
+    const state = {shipments: [{id: 1}]};
+    const result = select(state);
+    expect(isSentinel(result.state)).toBe(false);
+    expect(result.state).toBe(state);
+    expect(result.first).toBe(state.shipments[0]);
+    expect(guardPure(value => value)(state)).toBe(state);
+  });
+
+  it("keeps the sentinels passed by the caller", () => {
+    const mutationHandler = jest.fn();
+    const store: any = makeSentinel(
+      {shipments: [{id: 1}]},
+      {label: "store", mutationHandler}
+    );
+    const selectFirst = guardPure(function selectFirst(shipments) {
+      shipments[0].selected = true;
+      return shipments[0];
+    });
+    const first = selectFirst(store.shipments);
+    expect(isSentinel(first)).toBe(true);
+    first.id = 2;
+    expect(mutationHandler).toHaveBeenCalledTimes(2);
+    const [selected, changed] = mutationHandler.mock.calls.map(
+      call => (call[0]: any)
+    );
+    expect(selected.label).toBe("store");
+    expect(selected.path).toEqual(["shipments", "0", "selected"]);
+    expect(selected.guard).toEqual({name: "selectFirst", argument: 0});
+    expect(changed.guard).toBeNull();
+  });
+
+  it("does not unwrap the arguments that fn stores", () => {
+    const mutationHandler = jest.fn();
+    let stash: any = null;
+    const cache = new Map();
+    const remember = guardPure(function remember(value) {
+      stash = value;
+      cache.set("value", value);
+      return value;
+    });
+    const value = {};
+    withSentinelConfig({mutationHandler}, () => {
+      expect(remember(value)).toBe(value);
+      expect(isSentinel(stash)).toBe(true);
+      expect(isSentinel(cache.get("value"))).toBe(true);
+      expect(getOriginal(stash)).toBe(value);
+      stash.changed = true;
+    });
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    expect(mutationHandler.mock.calls[0][0].guard).toBeNull();
+  });
+
+  it("only attributes mutations of the arguments", () => {
+    const mutationHandler = jest.fn();
+    const other: any = makeSentinel({}, {mutationHandler});
+    const touch = guardPure(function touch(value) {
+      other.touched = true;
+      return value;
+    });
+    touch({});
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    expect(mutationHandler.mock.calls[0][0].guard).toBeNull();
+  });
+});
+
+describe("getOriginal", () => {
+  it("returns the object wrapped by a sentinel", () => {
+    const obj = {};
+    expect(getOriginal(makeSentinel(obj))).toBe(obj);
+  });
+
+  it("returns other values as they are", () => {
+    const obj = {};
+    expect(getOriginal(obj)).toBe(obj);
+    expect(getOriginal(null)).toBeNull();
+    expect(getOriginal(1)).toBe(1);
+  });
+});
+
+describe("deepUnwrap", () => {
+  it("returns the original object graph if it has no sentinels", () => {
+    const obj = {a: {b: [1, {c: 2}]}};
+    expect(deepUnwrap(makeSentinel(obj))).toBe(obj);
+    expect(deepUnwrap(obj)).toBe(obj);
+    expect(deepUnwrap(1)).toBe(1);
+  });
+
+  it("copies plain objects and arrays that contain sentinels", () => {
+    const inner = {value: 1};
+    const untouched = {value: 2};
+    const sentinel = makeSentinel({inner, untouched});
+    const copy = {...sentinel, list: [sentinel.inner]};
+    expect(isSentinel(copy.inner)).toBe(true);
+
+    const unwrapped = deepUnwrap({copy});
+    expect(unwrapped.copy).not.toBe(copy);
+    expect(unwrapped.copy.inner).toBe(inner);
+    expect(unwrapped.copy.untouched).toBe(untouched);
+    expect(Array.isArray(unwrapped.copy.list)).toBe(true);
+    expect(unwrapped.copy.list[0]).toBe(inner);
+    expect(isSentinel(copy.inner)).toBe(true);
+  });
+
+  it("handles cycles", () => {
+    const obj: any = {};
+    obj.self = obj;
+    const sentinel = makeSentinel(obj);
+    const copy: any = {sentinel};
+    copy.self = copy;
+
+    const unwrapped = deepUnwrap(copy);
+    expect(unwrapped).not.toBe(copy);
+    expect(unwrapped.self).toBe(unwrapped);
+    expect(unwrapped.sentinel).toBe(obj);
+    expect(deepUnwrap(sentinel)).toBe(obj);
+  });
+
+  it("does not look into objects that are not plain", () => {
+    class Box {
+      value: mixed;
+    }
+    const box = new Box();
+    box.value = makeSentinel({});
+    expect(deepUnwrap(makeSentinel(box))).toBe(box);
+    expect(isSentinel(box.value)).toBe(true);
+  });
+});
+
+describe("checkpoint", () => {
+  it("reports no changes if nothing changed", () => {
+    const obj = {a: {b: [1, 2]}, c: new Map([["d", {}]]), e: new Set([1])};
+    const cp = checkpoint(obj);
+    expect(verifyCheckpoint(cp)).toEqual([]);
+  });
+
+  it("reports changes made through the original object", () => {
+    const obj: any = {a: {b: 1, c: 2}, list: [1]};
+    makeSentinel(obj);
+    const cp = checkpoint(obj);
+    obj.a.b = 3;
+    delete obj.a.c;
+    obj.a.d = 4;
+    obj.list.push(2);
+    expect(verifyCheckpoint(cp)).toEqual([
+      {type: "changed", path: ["a", "b"], before: 1, after: 3},
+      {type: "removed", path: ["a", "c"], before: 2, after: undefined},
+      {type: "added", path: ["a", "d"], before: undefined, after: 4},
+      {type: "changed", path: ["list", "length"], before: 1, after: 2},
+      {type: "added", path: ["list", "1"], before: undefined, after: 2},
+    ]);
+  });
+
+  it("reports new objects without looking into them", () => {
+    const obj: any = {a: {b: 1}};
+    const before = obj.a;
+    const cp = checkpoint(obj);
+    const after = {b: 2};
+    obj.a = after;
+    before.b = 3;
+    expect(verifyCheckpoint(cp)).toEqual([
+      {type: "changed", path: ["a"], before, after},
+      {type: "changed", path: ["a", "b"], before: 1, after: 3},
+    ]);
+  });
+
+  it("reports changes to Maps, Sets and Dates", () => {
+    const key = {};
+    const item = {count: 1};
+    const obj = {
+      map: new Map([["a", 1], [key, 2]]),
+      set: new Set(["b", item]),
+      date: new Date(0),
+    };
+    const cp = checkpoint(obj);
+    obj.map.set("a", 3);
+    obj.map.delete(key);
+    obj.set.delete("b");
+    obj.set.add("c");
+    item.count = 2;
+    obj.date.setTime(1);
+    expect(verifyCheckpoint(cp)).toEqual([
+      {type: "changed", path: ["map", "a"], before: 1, after: 3},
+      {type: "removed", path: ["map", "[object]"], before: 2, after: undefined},
+      {type: "removed", path: ["set"], before: "b", after: undefined},
+      {type: "added", path: ["set"], before: undefined, after: "c"},
+      {type: "changed", path: ["date", "[[DateValue]]"], before: 0, after: 1},
+      {type: "changed", path: ["set", "[key]", "count"], before: 1, after: 2},
+    ]);
+  });
+
+  it("reports changed prototypes", () => {
+    const obj = {};
+    const cp = checkpoint(obj);
+    Object.setPrototypeOf(obj, null);
+    expect(verifyCheckpoint(cp)).toEqual([
+      {
+        type: "changed",
+        path: ["[[Prototype]]"],
+        before: Object.prototype,
+        after: null,
+      },
+    ]);
+  });
+
+  it("handles cycles", () => {
+    const obj: any = {child: {}};
+    obj.child.parent = obj;
+    const cp = checkpoint(obj);
+    obj.child.value = 1;
+    expect(verifyCheckpoint(cp)).toEqual([
+      {type: "added", path: ["child", "value"], before: undefined, after: 1},
+    ]);
+  });
+
+  it("sees through sentinels", () => {
+    const inner = {value: 1};
+    const obj: any = {inner};
+    const sentinel = makeSentinel(obj);
+    const cp = checkpoint(sentinel);
+    obj.inner = sentinel.inner;
+    expect(verifyCheckpoint(cp)).toEqual([]);
+    inner.value = 2;
+    expect(verifyCheckpoint(cp)).toEqual([
+      {type: "changed", path: ["inner", "value"], before: 1, after: 2},
+    ]);
+  });
+
+  it("does not look into ignored objects", () => {
+    const obj = {ignored: {value: 1}};
+    const cp = checkpoint(obj, {shouldIgnore: o => o === obj.ignored});
+    obj.ignored.value = 2;
+    expect(verifyCheckpoint(cp)).toEqual([]);
+  });
+});
+
+describe("makeImmutable", () => {
+  it("deep-freezes the value", () => {
+    const obj = {a: {b: [{c: 1}]}, d: new Map([["e", {f: 1}]])};
+    expect(makeImmutable(obj)).toBe(obj);
+    expect(Object.isFrozen(obj)).toBe(true);
+    expect(Object.isFrozen(obj.a)).toBe(true);
+    expect(Object.isFrozen(obj.a.b)).toBe(true);
+    expect(Object.isFrozen(obj.a.b[0])).toBe(true);
+    expect(Object.isFrozen(obj.d.get("e"))).toBe(true);
+  });
+
+  it("handles cycles", () => {
+    const obj: any = {child: {}};
+    obj.child.parent = obj;
+    makeImmutable(obj);
+    expect(Object.isFrozen(obj)).toBe(true);
+    expect(Object.isFrozen(obj.child)).toBe(true);
+  });
+
+  it("does not freeze ignored objects", () => {
+    class Ignored {}
+    const ignored = new Ignored();
+    const obj = {ignored, bytes: new Uint8Array(1)};
+    makeImmutable(obj, {shouldIgnore: value => value instanceof Ignored});
+    expect(Object.isFrozen(obj)).toBe(true);
+    expect(Object.isFrozen(ignored)).toBe(false);
+    expect(Object.isFrozen(obj.bytes)).toBe(false);
+  });
+
+  it("freezes the objects wrapped by sentinels", () => {
+    const inner = {};
+    const obj = {inner};
+    makeImmutable({...makeSentinel(obj)});
+    expect(Object.isFrozen(inner)).toBe(true);
+    expect(Object.isFrozen(obj)).toBe(false);
+  });
+
+  it("reports and refuses mutations of collections and dates", () => {
+    const mutationHandler = jest.fn();
+    const map = new Map([["a", 1]]);
+    const set = new Set();
+    const date = new Date(0);
+    makeImmutable({map, set, date}, {label: "store", mutationHandler});
+    expect(() => map.set("a", 2)).toThrow(
+      "Mutation blocked by a sentinel: set()"
+    );
+    expect(catchError(() => set.add(1))).toBeInstanceOf(TypeError);
+    expect(catchError(() => date.setTime(1))).toBeInstanceOf(TypeError);
+    expect(map.get("a")).toBe(1);
+    expect(set.size).toBe(0);
+    expect(date.getTime()).toBe(0);
+    expect(map.set("a", 1)).toBe(map);
+    expect(mutationHandler.mock.calls.map(call => call[0].type)).toEqual([
+      "mapSet",
+      "setAdd",
+      "dateSet",
+    ]);
+    expect(mutationHandler.mock.calls[0][0]).toMatchObject({
+      target: map,
+      path: ["map", "a"],
+      label: "store",
+      blocked: true,
+    });
+  });
+
+  it("replaces the mutating methods with own properties", () => {
+    const map = new Map();
+    const date = new Date(0);
+    makeImmutable({map, date}, {mutationHandler: () => {}});
+    expect(Object.getOwnPropertyNames(map).sort()).toEqual([
+      "clear",
+      "delete",
+      "set",
+    ]);
+    expect(Object.getOwnPropertyNames(date)).toContain("setTime");
+    // The methods of the prototype still mutate the objects.
+    Map.prototype.set.call(map, "a", 1);
+    Date.prototype.setTime.call(date, 1);
+    expect(map.get("a")).toBe(1);
+    expect(date.getTime()).toBe(1);
+  });
+
+  it("flags the path of objects reached through several paths", () => {
+    const mutationHandler = jest.fn();
+    const shared = {dates: new Map()};
+    const own = new Map();
+    makeImmutable({a: shared, b: shared, own}, {mutationHandler});
+    expect(catchError(() => shared.dates.set("x", 1))).toBeInstanceOf(
+      TypeError
+    );
+    expect(mutationHandler.mock.calls[0][0]).toMatchObject({
+      path: ["a", "dates", "x"],
+      ambiguousPath: true,
+    });
+    expect(catchError(() => own.set("x", 1))).toBeInstanceOf(TypeError);
+    expect(mutationHandler.mock.calls[1][0]).toMatchObject({
+      path: ["own", "x"],
+      ambiguousPath: false,
+    });
+  });
+
+  it("is used by makeSentinel in freeze mode", () => {
+    const obj = {a: {}};
+    withSentinelConfig({mode: "freeze"}, () => {
+      expect(makeSentinel(obj)).toBe(obj);
+      expect(makeSentinel(obj, {mode: "sentinel"})).not.toBe(obj);
+    });
+    expect(Object.isFrozen(obj.a)).toBe(true);
+  });
+
+  it("reports writes through sentinels of frozen objects as blocked", () => {
+    const mutationHandler = jest.fn();
+    const obj = makeImmutable({a: 1});
+    const sentinel: any = makeSentinel(obj, {mutationHandler});
+    expect(catchError(() => (sentinel.a = 2))).toBeInstanceOf(TypeError);
+    expect(mutationHandler.mock.calls[0][0].blocked).toBe(true);
+  });
+});
+
 describe("isSentinel", () => {
   it("returns false for null and undefined", () => {
     expect(isSentinel(null)).toBe(false);
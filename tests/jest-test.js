@@ -0,0 +1,220 @@
+// @flow
+
+import makeSentinel, {
+  configureSentinels,
+  getOriginal,
+  getSentinelConfig,
+} from "../src";
+import {
+  assertNoMutations,
+  failOnUnexpectedMutations,
+  matchers,
+} from "../src/jest";
+
+expect.extend(matchers);
+
+// The matchers are not part of the Flow types of expect.
+const expectFn = (fn: (...args: Array<any>) => mixed): any => expect(fn);
+
+function sortInPlace(state: {shipments: Array<number>}) {
+  state.shipments.sort();
+  return state;
+}
+
+function sortCopy(state: {shipments: Array<number>}) {
+  return {...state, shipments: state.shipments.slice().sort()};
+}
+
+describe("toMutate", () => {
+  it("passes if fn mutates its arguments", () => {
+    expectFn(sortInPlace).toMutate({shipments: [2, 1]});
+    expectFn(sortCopy).not.toMutate({shipments: [2, 1]});
+  });
+
+  it("lists the mutations when it fails", () => {
+    expect(() =>
+      expectFn(sortInPlace).not.toMutate({shipments: [2, 1]})
+    ).toThrow(
+      "Expected fn not to mutate its arguments, but it made these mutations:\n" +
+        "  arrayMethod arguments[0].shipments (sort)"
+    );
+    expect(() => expectFn(sortCopy).toMutate({shipments: [2, 1]})).toThrow(
+      "Expected fn to mutate its arguments, but it made no mutations."
+    );
+  });
+
+  it("marks paths that may not be the ones written to", () => {
+    const shared = {};
+    expect(() =>
+      expectFn(state => {
+        const held = state.a;
+        state.b;
+        held.x = 1;
+      }).not.toMutate({a: shared, b: shared})
+    ).toThrow(
+      "  set arguments[0].b.x = 1 (or another path to the same object)"
+    );
+  });
+
+  it("shows a diff of the arguments when it fails", () => {
+    expect(() =>
+      expectFn(sortInPlace).not.toMutate({shipments: [2, 1]})
+    ).toThrow(
+      "Difference (- before, + after):\n" +
+        "  - arguments[0].shipments.0: 2\n" +
+        "  + arguments[0].shipments.0: 1\n" +
+        "  - arguments[0].shipments.1: 1\n" +
+        "  + arguments[0].shipments.1: 2"
+    );
+  });
+
+  it("keeps the root and options of arguments that are sentinels", () => {
+    const mutationHandler = jest.fn();
+    const store: any = makeSentinel(
+      {shipments: [2, 1]},
+      {label: "store", mutationHandler, enforce: "ignore"}
+    );
+    expectFn(sortInPlace).toMutate(store);
+    expectFn(sortInPlace).toMutate(getOriginal(store));
+    expect(mutationHandler).not.toHaveBeenCalled();
+    store.shipments = [];
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    expect(mutationHandler.mock.calls[0][0]).toMatchObject({
+      label: "store",
+      path: ["shipments"],
+      blocked: true,
+    });
+    // The sentinel still refused the mutations made by sortInPlace.
+    expect(store.shipments).toEqual([2, 1]);
+  });
+
+  it("does not count mutations made after fn returns", () => {
+    const state = {shipments: [2, 1]};
+    const mutationHandler = jest.fn();
+    const backup = getSentinelConfig();
+    configureSentinels({mutationHandler});
+    try {
+      let sentinel: any = null;
+      expectFn(value => {
+        sentinel = value;
+      }).not.toMutate(state);
+      sentinel.shipments = [];
+    } finally {
+      configureSentinels((backup: any));
+    }
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("toMutateAt", () => {
+  it("passes if fn mutates the path", () => {
+    expectFn(sortInPlace).toMutateAt("0.shipments", {shipments: [2, 1]});
+    expectFn(sortInPlace).toMutateAt([0, "shipments", 1], {shipments: [2, 1]});
+    expectFn(sortInPlace).not.toMutateAt("0", {shipments: [2, 1]});
+    expectFn(sortCopy).not.toMutateAt("0.shipments", {shipments: [2, 1]});
+  });
+
+  it("lists the mutations when it fails", () => {
+    expect(() =>
+      expectFn((a, b: any) => {
+        b.name = "Oakland";
+      }).toMutateAt("0.name", {}, {})
+    ).toThrow(
+      "but it only made these mutations:\n" +
+        '  set arguments[1].name = "Oakland"'
+    );
+    expect(() =>
+      expectFn(sortInPlace).not.toMutateAt("0.shipments", {shipments: [2, 1]})
+    ).toThrow("  arrayMethod arguments[0].shipments (sort)");
+  });
+});
+
+describe("assertNoMutations", () => {
+  it("returns the result of fn", () => {
+    const state = {shipments: [2, 1]};
+    expect(assertNoMutations(sortCopy, state)).toEqual({shipments: [1, 2]});
+    expect(state.shipments).toEqual([2, 1]);
+  });
+
+  it("throws if fn mutates its arguments", () => {
+    expect(() =>
+      assertNoMutations(
+        (state, action) => {
+          state.lastAction = action.type;
+        },
+        {},
+        {type: "ADD"}
+      )
+    ).toThrow(
+      "Expected fn not to mutate its arguments, but it made these mutations:\n" +
+        '  set arguments[0].lastAction = "ADD"'
+    );
+  });
+});
+
+describe("failOnUnexpectedMutations", () => {
+  // Calls failOnUnexpectedMutations, and returns its beforeEach and afterEach
+  // hooks.
+  function setUp(): {|before: () => void, after: () => void|} {
+    const hooks = {};
+    const prevBeforeEach = global.beforeEach;
+    const prevAfterEach = global.afterEach;
+    global.beforeEach = hook => {
+      hooks.before = hook;
+    };
+    global.afterEach = hook => {
+      hooks.after = hook;
+    };
+    try {
+      failOnUnexpectedMutations();
+    } finally {
+      global.beforeEach = prevBeforeEach;
+      global.afterEach = prevAfterEach;
+    }
+    return (hooks: any);
+  }
+
+  it("fails the test if a mutation is reported", () => {
+    const backup = getSentinelConfig();
+    const mutationHandler = jest.fn();
+    configureSentinels({mutationHandler});
+    const {before, after} = setUp();
+    try {
+      before();
+      expect(getSentinelConfig().mutationHandler).toBe(mutationHandler);
+      const sentinel: any = makeSentinel({}, {label: "store"});
+      sentinel.a = 1;
+    } finally {
+      configureSentinels((backup: any));
+    }
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    expect(() => after()).toThrow(
+      "Expected the test not to mutate any sentinels, but it made these " +
+        "mutations:\n  set store.a = 1"
+    );
+    // The mutations are only reported once.
+    expect(() => after()).not.toThrow();
+  });
+
+  it("counts the mutations passed to the handlers of sentinels", () => {
+    const {before, after} = setUp();
+    const mutationHandler = jest.fn();
+    before();
+    const sentinel: any = makeSentinel({}, {label: "record", mutationHandler});
+    sentinel.a = 1;
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    expect(() => after()).toThrow("  set record.a = 1");
+  });
+
+  it("does not count the mutations of the arguments of the matchers", () => {
+    const {before, after} = setUp();
+    before();
+    expectFn(sortInPlace).toMutate({shipments: [2, 1]});
+    expect(() => after()).not.toThrow();
+    // The mutations made after the test are not counted either.
+    const sentinel: any = makeSentinel({}, {mutationHandler: () => {}});
+    sentinel.a = 1;
+    before();
+    expect(() => after()).not.toThrow();
+  });
+});
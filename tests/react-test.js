@@ -0,0 +1,212 @@
+// @flow
+
+import * as React from "react";
+import TestRenderer from "react-test-renderer";
+
+import makeSentinel, {isSentinel, withSentinelConfig} from "../src";
+import {useSentinel, withSentinelProps} from "../src/react";
+
+function renderWithHandler(element: React.Node, options?: {}) {
+  const mutationHandler = jest.fn();
+  const renderer = withSentinelConfig({mutationHandler}, () =>
+    TestRenderer.create(element, options)
+  );
+  return {mutationHandler, renderer};
+}
+
+describe("withSentinelProps", () => {
+  it("wraps the props of function components", () => {
+    function Shipment(props) {
+      expect(isSentinel(props.shipment)).toBe(true);
+      props.shipment.viewed = true;
+      return props.shipment.name;
+    }
+    const shipment: any = {name: "Oakland"};
+    const {mutationHandler, renderer} = renderWithHandler(
+      React.createElement(withSentinelProps(Shipment), {shipment})
+    );
+    expect(renderer.toJSON()).toBe("Oakland");
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    const mutation: any = mutationHandler.mock.calls[0][0];
+    expect(mutation.target).toBe(shipment);
+    expect(mutation.path).toEqual(["viewed"]);
+    expect(mutation.component).toBe("Shipment");
+  });
+
+  it("attributes mutations to class components", () => {
+    class ShipmentList extends React.Component<
+      {shipments: Array<{id: number}>},
+      {sorted: Array<{id: number}>}
+    > {
+      state = {sorted: [{id: 2}, {id: 1}]};
+
+      componentDidMount() {
+        this.props.shipments.pop();
+      }
+
+      render() {
+        this.state.sorted.sort((a, b) => a.id - b.id);
+        return this.state.sorted.length;
+      }
+    }
+    const Wrapped = withSentinelProps(ShipmentList);
+    expect(Wrapped.displayName).toBe("withSentinelProps(ShipmentList)");
+
+    const {mutationHandler} = renderWithHandler(
+      React.createElement(Wrapped, {shipments: [{id: 1}]})
+    );
+    expect(mutationHandler).toHaveBeenCalledTimes(2);
+    const [sort, pop] = mutationHandler.mock.calls.map(call => (call[0]: any));
+    expect(sort.type).toBe("arrayMethod");
+    expect(sort.method).toBe("sort");
+    expect(sort.path).toEqual(["sorted"]);
+    expect(sort.component).toBe("ShipmentList");
+    expect(pop.method).toBe("pop");
+    expect(pop.component).toBe("ShipmentList");
+  });
+
+  it("keeps the props of PureComponents equal", () => {
+    const renders = jest.fn();
+    class Shipment extends React.PureComponent<{shipment: {}}> {
+      render() {
+        renders();
+        return null;
+      }
+    }
+    const Wrapped = withSentinelProps(Shipment);
+    const shipment = {};
+    const renderer = TestRenderer.create(
+      React.createElement(Wrapped, {shipment})
+    );
+    renderer.update(React.createElement(Wrapped, {shipment}));
+    expect(renders).toHaveBeenCalledTimes(1);
+    renderer.update(React.createElement(Wrapped, {shipment: {}}));
+    expect(renders).toHaveBeenCalledTimes(2);
+  });
+
+  it("does not wrap React elements", () => {
+    const Box = withSentinelProps(props => {
+      expect(isSentinel(props.children)).toBe(false);
+      return props.children;
+    });
+    const renderer = TestRenderer.create(
+      React.createElement(Box, {}, React.createElement("span", {}, "Oakland"))
+    );
+    expect(renderer.toJSON()).toEqual({
+      type: "span",
+      props: {},
+      children: ["Oakland"],
+    });
+  });
+
+  it("does not attribute mutations made outside of components", () => {
+    const Shipment = withSentinelProps(props => {
+      props.onRender(props.shipment);
+      return null;
+    });
+    const mutationHandler = jest.fn();
+    let rendered = null;
+    withSentinelConfig({mutationHandler}, () => {
+      TestRenderer.create(
+        React.createElement(Shipment, {
+          shipment: {},
+          onRender: shipment => {
+            rendered = shipment;
+          },
+        })
+      );
+      (rendered: any).viewed = true;
+    });
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    expect(mutationHandler.mock.calls[0][0].component).toBeNull();
+  });
+
+  it("keeps the sentinels of props that are already wrapped", () => {
+    const mutationHandler = jest.fn();
+    const record = {viewed: false};
+    const store: any = makeSentinel(
+      {records: [record]},
+      {label: "store", enforce: "ignore", mutationHandler}
+    );
+    const Shipment = withSentinelProps(function Shipment(props) {
+      expect(props.record).toBe(store.records[0]);
+      props.record.viewed = true;
+      props.raw.viewed = true;
+      return null;
+    });
+    TestRenderer.create(
+      React.createElement(Shipment, {record: store.records[0], raw: record})
+    );
+    expect(record.viewed).toBe(false);
+    expect(
+      mutationHandler.mock.calls.map(call => [call[0].label, call[0].blocked])
+    ).toEqual([["store", true], ["store", true]]);
+    expect(mutationHandler.mock.calls[0][0].component).toBe("Shipment");
+  });
+
+  it("wraps components made by React.memo and React.forwardRef", () => {
+    // This version of Flow doesn't know forwardRef, memo and createRef.
+    const Shipment = (React: any).forwardRef((props, ref) => {
+      props.shipment.viewed = true;
+      return React.createElement("span", {ref}, props.shipment.name);
+    });
+    Shipment.displayName = "Shipment";
+    const Wrapped = withSentinelProps((React: any).memo(Shipment));
+    expect(Wrapped.displayName).toBe("withSentinelProps(Shipment)");
+
+    const ref = (React: any).createRef();
+    const {
+      mutationHandler,
+      renderer,
+    } = renderWithHandler(
+      React.createElement(Wrapped, {ref, shipment: {name: "Oakland"}}),
+      {createNodeMock: element => ({type: element.type})}
+    );
+    expect(renderer.toJSON()).toEqual({
+      type: "span",
+      props: {},
+      children: ["Oakland"],
+    });
+    expect(ref.current).toEqual({type: "span"});
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    expect(mutationHandler.mock.calls[0][0].component).toBe("Shipment");
+  });
+
+  it("forwards refs to class components", () => {
+    class Shipment extends React.Component<{}> {
+      render() {
+        return null;
+      }
+    }
+    const ref = (React: any).createRef();
+    TestRenderer.create(
+      React.createElement(withSentinelProps(Shipment), {ref})
+    );
+    expect(ref.current).toBeInstanceOf(Shipment);
+  });
+
+  it("rejects values that are not components", () => {
+    expect(() => withSentinelProps(("div": any))).toThrow(
+      "withSentinelProps() expects a class or function component"
+    );
+  });
+});
+
+describe("useSentinel", () => {
+  it("wraps the value", () => {
+    const counter = {count: 0};
+    function Counter() {
+      const state = useSentinel(counter);
+      expect(isSentinel(state)).toBe(true);
+      state.count++;
+      return state.count;
+    }
+    const {mutationHandler} = renderWithHandler(
+      React.createElement(withSentinelProps(Counter))
+    );
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    const mutation: any = mutationHandler.mock.calls[0][0];
+    expect(mutation.path).toEqual(["count"]);
+    expect(mutation.component).toBe("Counter");
+  });
+});
@@ -0,0 +1,119 @@
+// @flow
+
+import {combineReducers, createStore} from "redux";
+
+import makeSentinel, {isSentinel} from "../src";
+import {sentinelEnhancer} from "../src/redux";
+
+type State = {shipments: Array<{id: number}>};
+
+function reducer(state: State = {shipments: []}, action: any): State {
+  switch (action.type) {
+    case "ADD_SHIPMENT":
+      return {...state, shipments: state.shipments.concat(action.shipment)};
+    case "ADD_SHIPMENT_IN_PLACE":
+      state.shipments.push(action.shipment);
+      return state;
+    default:
+      return state;
+  }
+}
+
+describe("sentinelEnhancer", () => {
+  it("wraps the state after every dispatch", () => {
+    const store = createStore(reducer, sentinelEnhancer());
+    expect(isSentinel(store.getState())).toBe(true);
+    store.dispatch({type: "ADD_SHIPMENT", shipment: {id: 1}});
+    expect(isSentinel(store.getState())).toBe(true);
+    expect(isSentinel(store.getState().shipments[0])).toBe(true);
+  });
+
+  it("reports mutations made by the reducer with the action", () => {
+    const mutationHandler = jest.fn();
+    const store = createStore(reducer, sentinelEnhancer({mutationHandler}));
+    store.dispatch({type: "ADD_SHIPMENT_IN_PLACE", shipment: {id: 1}});
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    const mutation: any = mutationHandler.mock.calls[0][0];
+    expect(mutation.type).toBe("arrayMethod");
+    expect(mutation.path).toEqual(["shipments"]);
+    expect(mutation.action).toEqual({
+      type: "ADD_SHIPMENT_IN_PLACE",
+      inReducer: true,
+    });
+  });
+
+  it("reports later mutations with the last action", () => {
+    const mutationHandler = jest.fn();
+    const store = createStore(reducer, sentinelEnhancer({mutationHandler}));
+    store.dispatch({type: "ADD_SHIPMENT", shipment: {id: 1}});
+    store.getState().shipments[0].id = 2;
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+    const mutation: any = mutationHandler.mock.calls[0][0];
+    expect(mutation.path).toEqual(["shipments", "0", "id"]);
+    expect(mutation.action).toEqual({type: "ADD_SHIPMENT", inReducer: false});
+  });
+
+  it("reports each store's action only for the objects of its state", () => {
+    const mutationHandler = jest.fn();
+    const storeA = createStore(reducer, sentinelEnhancer({mutationHandler}));
+    const storeB = createStore(reducer, sentinelEnhancer({mutationHandler}));
+    storeA.dispatch({type: "ADD_SHIPMENT", shipment: {id: 1}});
+    storeB.dispatch({type: "ADD_SHIPMENT_IN_PLACE", shipment: {id: 2}});
+    storeA.getState().shipments[0].id = 3;
+    makeSentinel({}, {mutationHandler}).id = 4;
+    expect(mutationHandler.mock.calls.map(call => call[0].action)).toEqual([
+      {type: "ADD_SHIPMENT_IN_PLACE", inReducer: true},
+      {type: "ADD_SHIPMENT", inReducer: false},
+      null,
+    ]);
+  });
+
+  it("does not wrap ignored slices", () => {
+    const mutationHandler = jest.fn();
+    const store = createStore(
+      combineReducers({
+        shipments: (state = []) => state,
+        form: (state = {value: ""}) => state,
+      }),
+      sentinelEnhancer({mutationHandler, ignoreSlices: ["form"]})
+    );
+    store.dispatch({type: "ANY"});
+    expect(isSentinel(store.getState().shipments)).toBe(true);
+    expect(isSentinel(store.getState().form)).toBe(false);
+    store.getState().form.value = "Oakland";
+    expect(mutationHandler).not.toHaveBeenCalled();
+  });
+
+  it("skips mutations that match ignoreMutations", () => {
+    const mutationHandler = jest.fn();
+    const store = createStore(
+      (state = {shipments: [{id: 1, ui: {}}]}) => state,
+      sentinelEnhancer({mutationHandler, ignoreMutations: ["shipments.*.ui"]})
+    );
+    store.getState().shipments[0].ui.expanded = true;
+    expect(mutationHandler).not.toHaveBeenCalled();
+  });
+
+  it("wraps the state of replaced reducers", () => {
+    const mutationHandler = jest.fn();
+    const store = createStore(
+      (state = {shipments: []}) => state,
+      sentinelEnhancer({mutationHandler})
+    );
+    store.replaceReducer(reducer);
+    store.dispatch({type: "ADD_SHIPMENT_IN_PLACE", shipment: {id: 1}});
+    expect(mutationHandler).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not report reducers that return new state", () => {
+    const mutationHandler = jest.fn();
+    const store = createStore(
+      combineReducers({shipments: reducer}),
+      sentinelEnhancer({mutationHandler})
+    );
+    store.dispatch({type: "ADD_SHIPMENT", shipment: {id: 1}});
+    store.dispatch({type: "ADD_SHIPMENT", shipment: {id: 2}});
+    expect(store.getState().shipments.shipments).toEqual([{id: 1}, {id: 2}]);
+    expect(mutationHandler).not.toHaveBeenCalled();
+  });
+});